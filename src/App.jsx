@@ -1,46 +1,122 @@
 // src/App.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import LoadingScreen from './components/LoadingScreen';
 import CustomerTable from './components/CustomerTable';
-import { hasData, saveCustomerBatches } from './utils/indexedDB';
-import { generateCustomerBatches } from './utils/dataGenerator';
+import DatabaseNotice from './components/DatabaseNotice';
+import { seedCustomers, resetDataset, onDatabaseEvent } from './utils/customerApi';
+import { runExclusive, postTabMessage, onTabMessage } from './utils/tabSync';
+import { DEFAULT_DATASET } from './utils/dataSource';
+
+// Held by the tab that seeds the database
+const SEED_LOCK = 'doubletick-seed';
 
 function App() {
   const [isInitialized, setIsInitialized] = useState(false);
   const [progress, setProgress] = useState(0);
-  // CHANGED: Only generate 10K real records for fast loading
-  const [total] = useState(10000);
+  const [total, setTotal] = useState(DEFAULT_DATASET.size);
+  const [databaseEvent, setDatabaseEvent] = useState(null); // 'blocked' | 'versionchange'
+  const [waiting, setWaiting] = useState(false); // Another tab is seeding
+  const [seeding, setSeeding] = useState(false); // This tab is writing records
+  const [failure, setFailure] = useState(null); // { error, settings } when seeding failed; settings are retried
+  const initializing = useRef(false);
+  const seedController = useRef(null);
 
+  /**
+   * Start up, and wait again whenever another tab starts seeding,
+   * e.g. after the dataset was regenerated there
+   */
   useEffect(() => {
     initializeApp();
+
+    return onTabMessage('seed-progress', ({ current, total: size }) => {
+      setProgress(current);
+      setTotal(size);
+      if (!initializing.current) initializeApp();
+    });
   }, []);
 
-  const initializeApp = async () => {
-    const dataExists = await hasData();
-    
-    if (dataExists) {
-      setIsInitialized(true);
+  /**
+   * Show blocked upgrades and upgrades from other tabs
+   */
+  useEffect(() => onDatabaseEvent(setDatabaseEvent), []);
+
+  /**
+   * Seed the database, or wait while another tab does
+   * Seeding resumes after the last checkpoint. Cancelling keeps the records
+   * written so far and opens the table; the next start continues. Errors
+   * keep the loading screen up with the message and a retry button.
+   * @param {Object} settings - { size, seed } to regenerate the database with
+   */
+  const initializeApp = async (settings) => {
+    if (initializing.current) return;
+    initializing.current = true;
+    setIsInitialized(false);
+    setFailure(null);
+
+    let pendingSettings = settings; // Cleared once the reset went through
+    try {
+      // One tab seeds at a time; the others wait and then find the data
+      await runExclusive(SEED_LOCK, async () => {
+        setWaiting(false);
+        if (settings) {
+          await resetDataset(settings);
+          pendingSettings = undefined;
+        }
+
+        const controller = new AbortController();
+        seedController.current = controller;
+        try {
+          // Generated in batches of 1000 records (inside the worker)
+          await seedCustomers({ batchSize: 1000 }, (current, size) => {
+            setSeeding(true);
+            setProgress(current);
+            setTotal(size);
+            postTabMessage({ type: 'seed-progress', current, total: size });
+          }, controller.signal);
+        } catch (error) {
+          if (error.name !== 'AbortError') throw error;
+        } finally {
+          seedController.current = null;
+          setSeeding(false);
+        }
+        setDatabaseEvent(event => (event === 'blocked' ? null : event)); // The upgrade went through
+      }, () => setWaiting(true));
+    } catch (error) {
+      console.error('Error initializing database:', error);
+      setWaiting(false);
+      setFailure({ error, settings: pendingSettings });
       return;
+    } finally {
+      initializing.current = false;
     }
 
-    console.log('Generating 10K customer records for demo...');
-    
-    // Generate in batches of 1000 records
-    const batchGenerator = generateCustomerBatches(total, 1000);
-    
-    await saveCustomerBatches(batchGenerator, total, (current, total) => {
-      setProgress(current);
-    });
-    
-    console.log('Database initialized!');
     setIsInitialized(true);
   };
 
+  const notice = databaseEvent && <DatabaseNotice event={databaseEvent} />;
+
   if (!isInitialized) {
-    return <LoadingScreen progress={progress} total={total} />;
+    return (
+      <>
+        {notice}
+        <LoadingScreen
+          progress={progress}
+          total={total}
+          message={waiting ? 'Another tab is preparing the customer database...' : undefined}
+          onCancel={seeding ? () => seedController.current?.abort() : undefined}
+          error={failure && `The customer database could not be prepared: ${failure.error.message}`}
+          onRetry={failure ? () => initializeApp(failure.settings) : undefined}
+        />
+      </>
+    );
   }
 
-  return <CustomerTable />;
+  return (
+    <>
+      {notice}
+      <CustomerTable onSeed={initializeApp} />
+    </>
+  );
 }
 
 export default App;
\ No newline at end of file
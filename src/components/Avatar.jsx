@@ -0,0 +1,36 @@
+// src/components/Avatar.jsx
+
+import React, { useState, useEffect } from 'react';
+import { getInitialsAvatarUrl, loadUploadedAvatar, peekUploadedAvatar, retainUploadedAvatar } from '../utils/avatars';
+
+/**
+ * Customer picture: the uploaded one if any, otherwise initials
+ * Initials show while an uploaded picture loads and if it cannot be read
+ * @param {Object} props.customer - Customer with id, name and avatar
+ * @param {string} props.alt - Alternative text ('' when the name is shown next to it)
+ * @param {string} props.className - Image class
+ */
+export default function Avatar({ customer, alt = '', className }) {
+  const key = customer.avatar;
+  const [, setLoaded] = useState(null); // Key of the last uploaded picture loaded, to re-render
+
+  useEffect(() => {
+    if (!key) return;
+
+    // Keeps the object URL alive while it is shown
+    const release = retainUploadedAvatar(key);
+    if (peekUploadedAvatar(key)) return release;
+
+    let current = true;
+    loadUploadedAvatar(key).then(() => {
+      if (current) setLoaded(key);
+    });
+    return () => {
+      current = false;
+      release();
+    };
+  }, [key]);
+
+  const src = (key && peekUploadedAvatar(key)) || getInitialsAvatarUrl(customer.id, customer.name);
+  return <img src={src} alt={alt} className={className} />;
+}
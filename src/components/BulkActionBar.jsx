@@ -0,0 +1,75 @@
+// src/components/BulkActionBar.jsx
+
+import React, { useState } from 'react';
+import { defaultDataSource } from '../utils/dataSource';
+import '../styles/BulkActionBar.css';
+
+/**
+ * Bar shown while rows are selected
+ * Offers "select all matching", reassigning the agent, deleting and exporting
+ * @param {number} props.count - Selected rows
+ * @param {number} props.total - Rows matching the current query
+ * @param {boolean} props.canSelectAll - Show the "select all N" link
+ * @param {Object|null} props.progress - { label, current, total } while an action runs
+ */
+export default function BulkActionBar({
+  count,
+  total,
+  canSelectAll,
+  progress,
+  onSelectAll,
+  onClear,
+  onReassign,
+  onDelete,
+  onExport
+}) {
+  const [agent, setAgent] = useState('');
+
+  if (progress) {
+    return (
+      <div className="bulk-bar" role="status">
+        <span className="bulk-count">
+          {progress.label} {progress.current.toLocaleString()} / {progress.total.toLocaleString()}...
+        </span>
+      </div>
+    );
+  }
+
+  const handleReassign = (e) => {
+    e.preventDefault();
+    if (agent) {
+      onReassign(agent);
+      setAgent('');
+    }
+  };
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{count.toLocaleString()} selected</span>
+
+      {canSelectAll && (
+        <button className="bulk-link" onClick={onSelectAll}>
+          Select all {total.toLocaleString()} matching
+        </button>
+      )}
+
+      <form className="bulk-reassign" onSubmit={handleReassign}>
+        <select
+          value={agent}
+          onChange={(e) => setAgent(e.target.value)}
+          aria-label="Reassign to agent"
+        >
+          <option value="">Reassign to...</option>
+          {defaultDataSource.dictionaries.agents.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button type="submit" className="bulk-button" disabled={!agent}>Apply</button>
+      </form>
+
+      <button className="bulk-button" onClick={onExport}>Export CSV</button>
+      <button className="bulk-button danger" onClick={onDelete}>Delete</button>
+      <button className="bulk-link" onClick={onClear}>Clear selection</button>
+    </div>
+  );
+}
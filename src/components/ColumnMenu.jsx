@@ -0,0 +1,74 @@
+// src/components/ColumnMenu.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { COLUMNS } from '../utils/columns';
+
+/**
+ * "Columns" dropdown to show and hide table columns
+ * Pinned columns are listed but cannot be hidden
+ * @param {Array<string>} props.columns - Visible column ids
+ * @param {Function} props.onToggle - Called with the id of the column to show or hide
+ * @param {Function} props.onReset - Restore default columns, order and widths
+ */
+export default function ColumnMenu({ columns, onToggle, onReset }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  /**
+   * Close dropdown when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  return (
+    <div className="filter-dropdown" ref={menuRef}>
+      <button
+        className="filter-button"
+        onClick={() => setOpen(!open)}
+        aria-label="Choose columns"
+        aria-expanded={open}
+      >
+        Columns
+      </button>
+
+      {open && (
+        <div className="filter-menu column-menu">
+          {COLUMNS.map(column => (
+            <label key={column.id} className="filter-item column-menu-item">
+              <input
+                type="checkbox"
+                checked={columns.includes(column.id)}
+                disabled={column.pinned}
+                onChange={() => onToggle(column.id)}
+              />
+              {column.label}
+              {column.pinned && <span className="column-menu-note">pinned</span>}
+            </label>
+          ))}
+          <div
+            className="filter-item column-menu-reset"
+            role="button"
+            tabIndex={0}
+            onClick={onReset}
+            onKeyDown={(e) => e.key === 'Enter' && onReset()}
+          >
+            Reset columns
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+// src/components/CustomerDetail.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { getCustomers, getCustomerMessages, getScoreHistory } from '../utils/customerApi';
+import Avatar from './Avatar';
+import '../styles/CustomerDetail.css';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+/**
+ * Group messages by calendar day, keeping their order
+ */
+function groupByDay(messages) {
+  const groups = [];
+
+  messages.forEach(message => {
+    const date = new Date(message.sentAt);
+    const day = date.toDateString();
+    const last = groups[groups.length - 1];
+
+    if (last && last.day === day) {
+      last.messages.push(message);
+    } else {
+      groups.push({
+        day,
+        label: date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
+        messages: [message]
+      });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Monthly score line chart
+ */
+function ScoreChart({ history }) {
+  const x = (index) => (index / (history.length - 1)) * CHART_WIDTH;
+  const y = (score) => CHART_HEIGHT - (score / 100) * CHART_HEIGHT;
+  const month = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short' });
+
+  return (
+    <figure className="score-chart">
+      <svg
+        viewBox={`-6 -6 ${CHART_WIDTH + 12} ${CHART_HEIGHT + 12}`}
+        role="img"
+        aria-label={`Score by month: ${history.map(point => `${month(point.date)} ${point.score}`).join(', ')}`}
+      >
+        <polyline points={history.map((point, index) => `${x(index)},${y(point.score)}`).join(' ')} />
+        {history.map((point, index) => (
+          <circle key={point.date} cx={x(index)} cy={y(point.score)} r="3">
+            <title>{`${month(point.date)}: ${point.score}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <figcaption className="score-chart-months" aria-hidden="true">
+        {history.map(point => <span key={point.date}>{month(point.date)}</span>)}
+      </figcaption>
+    </figure>
+  );
+}
+
+/**
+ * Full-page view of one customer of the current results
+ * Shows the profile, the score history and the message timeline. Previous
+ * and next (buttons or arrow keys) move through the results in table order.
+ * @param {number} props.position - Index of the customer in the results (0-based)
+ * @param {string} props.search - Search of the table
+ * @param {Array<Object>} props.sort - Sort keys of the table
+ * @param {Object} props.filters - Filters of the table
+ * @param {number} props.dataVersion - Bumped by the table after data changes
+ * @param {boolean} props.paused - Ignore keys while a dialog is open on top
+ * @param {Function} props.onNavigate - Called with the position to show
+ * @param {Function} props.onClose - Back to the table
+ * @param {Function} props.onEdit - Called with the customer to edit
+ */
+export default function CustomerDetail({
+  position,
+  search,
+  sort,
+  filters,
+  dataVersion,
+  paused,
+  onNavigate,
+  onClose,
+  onEdit
+}) {
+  const [customer, setCustomer] = useState(null);
+  const [messages, setMessages] = useState(null);
+  const [scoreHistory, setScoreHistory] = useState(null); // From the worker, which knows the dataset seed
+  const [total, setTotal] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing' | 'error'
+  const pageRef = useRef(null);
+
+  const hasPrevious = position > 0;
+  const hasNext = total !== null && position < total - 1;
+
+  useEffect(() => {
+    pageRef.current.focus();
+  }, []);
+
+  /**
+   * Load the customer at the position, then their messages and score history
+   */
+  useEffect(() => {
+    let current = true;
+    setStatus('loading');
+    setMessages(null);
+    setScoreHistory(null);
+
+    getCustomers({ offset: position, limit: 1, search, sort, filters })
+      .then(async ({ data, total: count }) => {
+        if (!current) return;
+        setTotal(count);
+
+        // E.g. the customer was deleted or no longer matches after an edit
+        if (data.length === 0) {
+          setCustomer(null);
+          setStatus('missing');
+          return;
+        }
+
+        setCustomer(data[0]);
+        setStatus('ready');
+        const [history, scores] = await Promise.all([
+          getCustomerMessages(data[0].id),
+          getScoreHistory(data[0])
+        ]);
+        if (current) {
+          setMessages(history);
+          setScoreHistory(scores);
+        }
+      })
+      .catch(error => {
+        console.error('Error loading customer:', error);
+        if (current) setStatus('error');
+      });
+
+    return () => { current = false; };
+  }, [position, search, sort, filters, dataVersion]);
+
+  /**
+   * Arrow keys move through the results, Escape goes back
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (paused || e.target.tagName === 'INPUT') return;
+
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowLeft' && hasPrevious) {
+        onNavigate(position - 1);
+      } else if (e.key === 'ArrowRight' && hasNext) {
+        onNavigate(position + 1);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [paused, position, hasPrevious, hasNext, onNavigate, onClose]);
+
+  const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="customer-detail" ref={pageRef} tabIndex={-1} role="region" aria-label="Customer details">
+      {/* ===== NAVIGATION ===== */}
+      <div className="detail-nav">
+        <button className="detail-back" onClick={onClose}>← All customers</button>
+        <div className="detail-pager">
+          <span className="detail-position" aria-live="polite">
+            {total !== null && `${(position + 1).toLocaleString()} of ${total.toLocaleString()}`}
+          </span>
+          <button
+            className="detail-nav-button"
+            onClick={() => onNavigate(position - 1)}
+            disabled={!hasPrevious}
+            aria-label="Previous customer"
+            title="Previous customer (←)"
+          >
+            ‹
+          </button>
+          <button
+            className="detail-nav-button"
+            onClick={() => onNavigate(position + 1)}
+            disabled={!hasNext}
+            aria-label="Next customer"
+            title="Next customer (→)"
+          >
+            ›
+          </button>
+        </div>
+      </div>
+
+      {status === 'missing' && (
+        <p className="detail-notice">This customer is no longer in the results.</p>
+      )}
+      {status === 'error' && (
+        <p className="detail-notice" role="alert">Could not load the customer. Please try again.</p>
+      )}
+
+      {customer && status !== 'missing' && (
+        <div className={`detail-content ${status === 'loading' ? 'loading' : ''}`}>
+          {/* ===== PROFILE ===== */}
+          <aside className="detail-sidebar">
+            <section className="detail-card detail-profile">
+              <Avatar customer={customer} className="detail-avatar" />
+              <h2 className="detail-name">{customer.name}</h2>
+              <span className="detail-id">#{customer.id}</span>
+
+              <dl className="detail-fields">
+                <dt>Phone</dt>
+                <dd>{customer.phone}</dd>
+                <dt>Email</dt>
+                <dd>{customer.email}</dd>
+                <dt>Added by</dt>
+                <dd><span className="agent-icon">👤</span> {customer.addedBy}</dd>
+                <dt>Score</dt>
+                <dd>{customer.score}</dd>
+                <dt>Last message</dt>
+                <dd>{formatDateTime(customer.lastMessageAt)}</dd>
+              </dl>
+
+              <button className="detail-edit" onClick={() => onEdit(customer)}>Edit customer</button>
+            </section>
+
+            <section className="detail-card">
+              <h3 className="detail-card-title">Score history</h3>
+              {scoreHistory
+                ? <ScoreChart history={scoreHistory} />
+                : <p className="detail-empty">Loading...</p>}
+            </section>
+          </aside>
+
+          {/* ===== MESSAGE TIMELINE ===== */}
+          <section className="detail-card detail-timeline">
+            <h3 className="detail-card-title">
+              Messages{messages && <span className="count">{messages.length}</span>}
+            </h3>
+
+            {!messages && <p className="detail-empty">Loading messages...</p>}
+            {messages?.length === 0 && <p className="detail-empty">No messages yet.</p>}
+
+            {messages && groupByDay(messages).map(group => (
+              <div key={group.day} className="timeline-day">
+                <div className="timeline-date">{group.label}</div>
+                <ol className="timeline-messages">
+                  {group.messages.map(message => (
+                    <li key={message.id} className={`timeline-message ${message.direction}`}>
+                      <p className="timeline-text">{message.text}</p>
+                      <span className="timeline-meta">
+                        {message.direction === 'outbound' ? message.agent : customer.name} ·{' '}
+                        {new Date(message.sentAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+// src/components/CustomerDrawer.jsx
+
+import React, { useState, useEffect } from 'react';
+import { createCustomer, updateCustomer, deleteCustomer, setCustomerAvatar } from '../utils/customerApi';
+import {
+  AVATAR_TYPES,
+  EMPTY_CUSTOMER_FORM,
+  toCustomerForm,
+  validateAvatarFile,
+  validateCustomer
+} from '../utils/customerValidation';
+import { defaultDataSource } from '../utils/dataSource';
+import Avatar from './Avatar';
+import '../styles/CustomerDrawer.css';
+
+const FIELDS = [
+  { id: 'name', label: 'Name', type: 'text' },
+  { id: 'phone', label: 'Phone', type: 'tel', placeholder: '+14155550123' },
+  { id: 'email', label: 'Email', type: 'email' },
+  { id: 'score', label: 'Score', type: 'number' }
+];
+
+/**
+ * Side drawer to view, edit, add and delete a customer
+ * Fields are edited in place; errors show once a field was touched or on save.
+ * A chosen or removed picture is only written on save, like the fields.
+ * @param {Object|null} props.customer - Customer to edit, or null to add a new one
+ * @param {Function} props.onClose - Close the drawer
+ * @param {Function} props.onSaved - Called with the stored customer after a save
+ * @param {Function} props.onDeleted - Called with the id after a delete
+ */
+export default function CustomerDrawer({ customer, onClose, onSaved, onDeleted }) {
+  const isNew = !customer;
+  const initialValues = isNew ? EMPTY_CUSTOMER_FORM : toCustomerForm(customer);
+  const [values, setValues] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [photo, setPhoto] = useState(undefined); // undefined: unchanged, null: removed, or a File
+  const [photoUrl, setPhotoUrl] = useState(null); // Preview of a chosen File
+  const [photoError, setPhotoError] = useState(null);
+
+  const { customer: parsed, errors } = validateCustomer(values);
+  const dirty = photo !== undefined || Object.keys(values).some(key => values[key] !== initialValues[key]);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  /**
+   * Close on Escape
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Preview a chosen picture without uploading it
+   */
+  useEffect(() => {
+    if (!photo) {
+      setPhotoUrl(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(photo);
+    setPhotoUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [photo]);
+
+  const handlePhotoChange = (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Choosing the same file again still fires change
+    if (!file) return;
+
+    const error = validateAvatarFile(file);
+    setPhotoError(error);
+    if (!error) {
+      setPhoto(file);
+      setSaveError(null);
+    }
+  };
+
+  const setField = (field, value) => {
+    setValues({ ...values, [field]: value });
+    setSaveError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setTouched(Object.fromEntries(Object.keys(values).map(key => [key, true])));
+    if (hasErrors || !dirty) return;
+
+    setSaving(true);
+    try {
+      let saved = isNew
+        ? await createCustomer(parsed)
+        : await updateCustomer(customer.id, parsed);
+      if (photo !== undefined) {
+        saved = await setCustomerAvatar(saved.id, photo);
+      }
+      onSaved(saved, isNew);
+    } catch (error) {
+      console.error('Error saving customer:', error);
+      setSaveError('Could not save the customer. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${customer.name}? This cannot be undone.`)) return;
+
+    setSaving(true);
+    try {
+      await deleteCustomer(customer.id);
+      onDeleted(customer.id);
+    } catch (error) {
+      console.error('Error deleting customer:', error);
+      setSaveError('Could not delete the customer. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const fieldError = (field) => touched[field] && errors[field];
+
+  return (
+    <div className="drawer-overlay" onMouseDown={onClose}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="drawer-title"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="drawer-header">
+          {!isNew && <Avatar customer={customer} className="drawer-avatar" />}
+          <div className="drawer-heading">
+            <h2 id="drawer-title">{isNew ? 'Add customer' : customer.name}</h2>
+            {!isNew && (
+              <span className="drawer-subtitle">
+                #{customer.id} · Last message {new Date(customer.lastMessageAt).toLocaleString()}
+              </span>
+            )}
+          </div>
+          <button className="drawer-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <form className="drawer-form" onSubmit={handleSubmit} noValidate>
+          <div className="drawer-photo">
+            {photoUrl ? (
+              <img src={photoUrl} alt="" className="drawer-photo-preview" />
+            ) : (
+              <Avatar
+                customer={{
+                  id: customer?.id ?? 0,
+                  name: values.name,
+                  avatar: photo === null ? null : customer?.avatar
+                }}
+                className="drawer-photo-preview"
+              />
+            )}
+            <label className="drawer-button drawer-photo-upload">
+              Upload photo
+              <input type="file" accept={AVATAR_TYPES.join(',')} onChange={handlePhotoChange} />
+            </label>
+            {(photo || (photo === undefined && customer?.avatar)) && (
+              <button type="button" className="drawer-button" onClick={() => setPhoto(null)}>
+                Remove photo
+              </button>
+            )}
+            {photoError && <span className="drawer-error" role="alert">{photoError}</span>}
+          </div>
+
+          {FIELDS.map(field => (
+            <label key={field.id} className="drawer-field">
+              {field.label}
+              <input
+                type={field.type}
+                value={values[field.id]}
+                placeholder={field.placeholder}
+                min={field.type === 'number' ? 0 : undefined}
+                max={field.type === 'number' ? 100 : undefined}
+                onChange={(e) => setField(field.id, e.target.value)}
+                onBlur={() => setTouched({ ...touched, [field.id]: true })}
+                aria-invalid={Boolean(fieldError(field.id))}
+                autoFocus={isNew && field.id === 'name'}
+              />
+              {fieldError(field.id) && <span className="drawer-error">{errors[field.id]}</span>}
+            </label>
+          ))}
+
+          <label className="drawer-field">
+            Added by
+            <select
+              value={values.addedBy}
+              onChange={(e) => setField('addedBy', e.target.value)}
+              onBlur={() => setTouched({ ...touched, addedBy: true })}
+              aria-invalid={Boolean(fieldError('addedBy'))}
+            >
+              <option value="">Choose an agent...</option>
+              {defaultDataSource.dictionaries.agents.map(agent => (
+                <option key={agent} value={agent}>{agent}</option>
+              ))}
+              {values.addedBy && !defaultDataSource.dictionaries.agents.includes(values.addedBy) && (
+                <option value={values.addedBy}>{values.addedBy}</option>
+              )}
+            </select>
+            {fieldError('addedBy') && <span className="drawer-error">{errors.addedBy}</span>}
+          </label>
+
+          {saveError && <p className="drawer-error" role="alert">{saveError}</p>}
+
+          <div className="drawer-actions">
+            {!isNew && (
+              <button type="button" className="drawer-button danger" onClick={handleDelete} disabled={saving}>
+                Delete
+              </button>
+            )}
+            <button type="button" className="drawer-button" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="drawer-button primary" disabled={saving || !dirty}>
+              {saving ? 'Saving...' : isNew ? 'Add customer' : 'Save changes'}
+            </button>
+          </div>
+        </form>
+      </aside>
+    </div>
+  );
+}
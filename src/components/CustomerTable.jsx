@@ -1,211 +1,876 @@
 ﻿// src/components/CustomerTable.jsx
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { getCustomers } from '../utils/indexedDB';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
+import { getCustomers, getCustomerIds, updateCustomers, deleteCustomers, onDataChange } from '../utils/customerApi';
+import { EMPTY_FILTERS, describeFilters, removeFilter, normalizeFilters } from '../utils/filters';
+import {
+  EMPTY_SELECTION,
+  selectAllMatching,
+  isRowSelected,
+  setRowsSelected,
+  getSelectedCount,
+  resolveSelectedIds
+} from '../utils/selection';
+import { exportCustomerIdsAsCsv } from '../utils/exportCustomers';
+import { createPageScheduler } from '../utils/pageScheduler';
+import { createRowHeights, getScrollHeight, placeScroll, moveScroll, followScroll } from '../utils/rowLayout';
+import { parseUrlState, toUrlSearch } from '../utils/urlState';
+import {
+  DEFAULT_COLUMNS,
+  MIN_COLUMN_WIDTH,
+  resolveColumns,
+  normalizeColumns,
+  toggleColumn,
+  moveColumn
+} from '../utils/columns';
+import { loadPreferences, updatePreferences } from '../utils/preferences';
+import { normalizeSort, toggleSortKey, RELEVANCE_SORT, withoutRelevance } from '../utils/sorting';
+import { resolveSearch } from '../utils/queryLanguage';
+import { highlightMatches } from '../utils/fuzzySearch';
+import { defaultDataSource } from '../utils/dataSource';
+import FilterMenu from './FilterMenu';
+import ExportMenu from './ExportMenu';
+import ColumnMenu from './ColumnMenu';
+import BulkActionBar from './BulkActionBar';
+import CustomerDrawer from './CustomerDrawer';
+import CustomerDetail from './CustomerDetail';
+import Avatar from './Avatar';
+import ImportDialog from './ImportDialog';
+import DatasetSettings from './DatasetSettings';
+import KeyboardHelp from './KeyboardHelp';
+import ViewTabs from './ViewTabs';
+import SearchBox from './SearchBox';
 import '../styles/CustomerTable.css';
-import filterIcon from '../assets/test_Filter.svg';
-import searchIcon from '../assets/test_Search-3.svg';
+
+// Rows are fetched in blocks of this many
+const BLOCK_SIZE = 30;
+
+// Estimated row height in pixels, corrected as rows are rendered and measured
+const ROW_HEIGHT = 60;
+
+// Rows rendered above and below the visible ones
+const OVERSCAN = 6;
+
+/**
+ * Whether keys pressed in an element are typed text rather than shortcuts
+ */
+const isTextEntry = (element) => (
+  element.matches?.('input:not([type="checkbox"]), textarea, select, [contenteditable="true"]')
+);
 
 /**
- * Main customer table component with VIRTUAL SCROLLBAR
- * Can jump to any row (1 to 1,000,000) instantly
+ * Plain text part of a search, without query clauses
+ * Used for highlighting and to offer sorting by relevance
  */
-export default function CustomerTable() {
+function getSearchText(search) {
+  return resolveSearch(search, { agents: defaultDataSource.dictionaries.agents }).text.trim();
+}
+
+/**
+ * Main customer table component
+ * Can jump to any row (1 to 1,000,000) instantly. Only the rows in view
+ * and a few around them are rendered, inside a native scroll area whose
+ * scrollbar spans all rows (see rowLayout.js), so scrolling is smooth and
+ * pixel-accurate.
+ * @param {Function} props.onSeed - Regenerate ({ size, seed }) or resume seeding the database
+ */
+export default function CustomerTable({ onSeed }) {
+  // The view starts from the query string, e.g. ?q=smith&sort=score:desc&row=45000
+  const [urlState] = useState(() => parseUrlState(window.location.search));
+
   // State management
-  const [customers, setCustomers] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortBy, setSortBy] = useState('id');
-  const [sortOrder, setSortOrder] = useState('asc');
-  const [showFilters, setShowFilters] = useState(false);
-  const [totalCount, setTotalCount] = useState(1000000);
-  const [currentRow, setCurrentRow] = useState(1);
-  const [scrollPercentage, setScrollPercentage] = useState(0);
+  const [layout, setLayout] = useState(null); // { key, total, heights } of the query shown
+  const [rows, setRows] = useState(null); // { key, offset, data } - loaded customers around the view
+  const [scroll, setScroll] = useState({ top: 0, base: 0 }); // Position over all rows and offset of the native scroll window, in px
+  const [viewportHeight, setViewportHeight] = useState(0); // Height of the rows area
+  const [viewportWidth, setViewportWidth] = useState(0); // Rows wrap differently when it changes
+  const [, setMeasured] = useState(0); // Bumped when measured rows change the layout
+  const [searchTerm, setSearchTerm] = useState(urlState.searchTerm);
+  const [sort, setSort] = useState(urlState.sort); // [{ field, order }] in priority order
+  const [filters, setFilters] = useState(urlState.filters);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [drawer, setDrawer] = useState(null); // { customer } - customer is null when adding
+  const [detail, setDetail] = useState(null); // { position } of the customer shown in the detail page
+  const [importOpen, setImportOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [focusCell, setFocusCell] = useState({ row: 0, col: 1 }); // Grid cell with the roving focus; row -1 is the header
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS); // Visible column ids in order
+  const [columnWidths, setColumnWidths] = useState({}); // column id -> px, set by resizing
+  const [dragColumn, setDragColumn] = useState(null); // { id, over } while reordering headers
+  const [dataVersion, setDataVersion] = useState(0); // Bumped after edits, imports and deletes
+  
+  const searchText = useMemo(() => getSearchText(searchTerm), [searchTerm]);
+  const sortedByRelevance = sort[0].field === 'relevance';
+  const queryKey = useMemo(() => JSON.stringify({ search: searchTerm, sort, filters }), [searchTerm, sort, filters]);
+
+  // Rows in view, and the rendered ones around them
+  const heights = layout?.heights;
+  const totalCount = layout ? layout.total : 0;
+  const firstIndex = heights ? heights.indexAt(scroll.top) : 0;
+  const lastIndex = heights ? heights.indexAt(scroll.top + Math.max(1, viewportHeight) - 1) : 0;
+  const startIndex = Math.max(0, firstIndex - OVERSCAN);
+  const endIndex = Math.min(totalCount, lastIndex + 1 + OVERSCAN);
+  const currentRow = firstIndex + 1;
+
+  /**
+   * Loaded customer at a row index, null while its block loads
+   */
+  const rowAt = (index) => {
+    if (!rows || rows.key !== queryKey) return null;
+    return rows.data[index - rows.offset] || null;
+  };
   
   // Refs
   const searchTimeout = useRef(null);
-  const filterRef = useRef(null);
-  const scrollbarRef = useRef(null);
-  const isDragging = useRef(false);
+  const selectionAnchor = useRef(null);
+  const viewportRef = useRef(null);
+  const headRef = useRef(null);
+  const bodyRef = useRef(null);
+  const targetRow = useRef(urlState.row - 1); // Row to show once the next query's count is known
+  const focusPending = useRef(false); // Move DOM focus to focusCell once it is rendered
+  const searchRef = useRef(null);
+  const scrollbarDrag = useRef(false); // The native scrollbar is being dragged
+  const scrollEnd = useRef(null); // Timeout that realigns the scrollbar once scrolling pauses
+  const isResizing = useRef(false);
+  const urlQuery = useRef(toUrlSearch({ ...urlState, row: 1 })); // Query part of the URL, without the row
   
-  const ITEMS_PER_PAGE = 30;
-  const ROW_HEIGHT = 60; // Approximate row height in pixels
+  // Latest layout and viewport height, for callbacks that outlive a render
+  const latest = useRef({ layout: null, viewportHeight: 0 });
+  latest.current = { layout, viewportHeight };
+
+  // Block cache, prefetching and cancellation of superseded requests
+  const [scheduler] = useState(() => createPageScheduler({
+    fetchRows: (query, offset, limit, signal) => getCustomers({ ...query, offset, limit, signal }),
+    pageSize: BLOCK_SIZE
+  }));
 
   /**
-   * Load customers from specific offset
+   * Scroll to a position over all rows
+   * @param {number} top - Position in px from the top of the first row
+   * @param {Object} rowHeights - Heights to place it in (default: the current layout's)
    */
-  const loadCustomersAtOffset = useCallback(async (offset) => {
-    setLoading(true);
-    
-    try {
-      const result = await getCustomers({
-        offset,
-        limit: ITEMS_PER_PAGE,
-        search: searchTerm,
-        sortBy,
-        sortOrder
-      });
-      
-      setCustomers(result.data);
-      setTotalCount(result.total);
-      setCurrentRow(offset + 1);
-    } catch (error) {
-      console.error('Error loading customers:', error);
-    } finally {
-      setLoading(false);
+  const scrollTo = useCallback((top, rowHeights = latest.current.layout?.heights) => {
+    if (!rowHeights) return;
+    setScroll(placeScroll(top, rowHeights, latest.current.viewportHeight));
+  }, []);
+
+  const scrollToRow = useCallback((index) => {
+    const rowHeights = latest.current.layout?.heights;
+    if (rowHeights) scrollTo(rowHeights.offsetOf(index), rowHeights);
+  }, [scrollTo]);
+
+  /**
+   * Show a result from a row
+   * Measured heights are kept while the query and row count stay the same
+   * @param {string} key - Query key
+   * @param {number} total - Rows in the result
+   * @param {number} row - Index of the row to scroll to; past the end shows the last rows
+   */
+  const showLayout = useCallback((key, total, row) => {
+    const current = latest.current.layout;
+    const rowHeights = current?.key === key && current.total === total
+      ? current.heights
+      : createRowHeights(total, ROW_HEIGHT);
+
+    setLayout({ key, total, heights: rowHeights });
+    scrollTo(rowHeights.offsetOf(Math.min(row, total)), rowHeights);
+  }, [scrollTo]);
+
+  /**
+   * Reload the rows in view after a data change
+   * Keeps the position unless rows were removed past the new end
+   */
+  const reloadCurrentRows = async () => {
+    const { total } = await getCustomerIds({ limit: 0, search: searchTerm, sort, filters });
+
+    scheduler.clear();
+    setDataVersion(version => version + 1);
+    showLayout(queryKey, total, currentRow - 1);
+  };
+
+  /**
+   * Reload without waiting, for callbacks; a failed reload keeps the rows shown
+   */
+  const refreshRows = () => {
+    reloadCurrentRows().catch(error => console.error('Error reloading customers:', error));
+  };
+
+  // Latest refreshRows, for the data change subscription
+  const refreshRowsRef = useRef(refreshRows);
+  refreshRowsRef.current = refreshRows;
+
+  /**
+   * Show customers changed in other tabs
+   */
+  useEffect(() => onDataChange(() => refreshRowsRef.current()), []);
+
+  /**
+   * Switch to another search, sort and filters, starting at the given row
+   * Used for history navigation and saved views
+   * @param {Object} state - { searchTerm, sort, filters, row }
+   */
+  const showQuery = useCallback(({ searchTerm: search, sort: nextSort, filters: nextFilters, row }) => {
+    if (searchTimeout.current) {
+      clearTimeout(searchTimeout.current);
     }
-  }, [searchTerm, sortBy, sortOrder]);
+
+    targetRow.current = row - 1;
+    setSearchTerm(search);
+    setSort(nextSort);
+    setFilters(nextFilters);
+    setSelection(EMPTY_SELECTION);
+  }, []);
 
   /**
-   * Initial load
+   * Count the rows of a new query, then show it from the target row
+   * Handlers reset targetRow to 0 together with the query; a view restored
+   * from the URL keeps its row
    */
   useEffect(() => {
-    loadCustomersAtOffset(0);
-  }, [searchTerm, sortBy, sortOrder]);
+    const controller = new AbortController();
+
+    getCustomerIds({ limit: 0, search: searchTerm, sort, filters, signal: controller.signal })
+      .then(({ total }) => showLayout(queryKey, total, targetRow.current))
+      .catch(error => {
+        if (error.name !== 'AbortError') console.error('Error loading customers:', error);
+      });
+
+    return () => controller.abort();
+  }, [searchTerm, sort, filters, queryKey, showLayout]);
 
   /**
-   * Handle virtual scrollbar drag
+   * Load the rows around the view
+   * Cached blocks are shown before the next paint, so scrolling through
+   * them never flashes placeholder rows
    */
-  const handleScrollbarMouseDown = (e) => {
-    isDragging.current = true;
-    updateScrollPosition(e);
-    document.addEventListener('mousemove', handleScrollbarMouseMove);
-    document.addEventListener('mouseup', handleScrollbarMouseUp);
+  useLayoutEffect(() => {
+    if (layout?.key !== queryKey || endIndex <= startIndex) return;
+
+    const query = { search: searchTerm, sort, filters };
+    const cached = scheduler.peek(query, startIndex, endIndex - startIndex);
+    if (cached) {
+      setRows({ key: queryKey, offset: startIndex, data: cached.data });
+      return;
+    }
+
+    // Scroll events fire many times per frame - only fetch the last position
+    scheduler.request(query, startIndex, { limit: endIndex - startIndex, coalesce: true })
+      .then(result => {
+        if (result) setRows({ key: queryKey, offset: startIndex, data: result.data });
+      })
+      .catch(error => console.error('Error loading customers:', error));
+  }, [scheduler, layout, queryKey, searchTerm, sort, filters, startIndex, endIndex, dataVersion]);
+
+  /**
+   * Fill the viewport: the rendered rows follow the height of the scroll area
+   */
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    const measure = () => {
+      const height = Math.max(0, viewport.clientHeight - headRef.current.offsetHeight);
+      const rowHeights = latest.current.layout?.heights;
+
+      setViewportHeight(height);
+      setViewportWidth(viewport.clientWidth);
+      if (rowHeights) {
+        setScroll(current => moveScroll(current, current.top, rowHeights, height));
+      }
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(viewport);
+    return () => observer.disconnect();
+  }, []);
+
+  /**
+   * Measure the rendered rows whenever they or their widths change
+   * When rows above the first visible one change height, the position moves
+   * with them so the rows in view stay in place
+   */
+  useLayoutEffect(() => {
+    if (!heights || !bodyRef.current) return;
+
+    let changed = false;
+    let shift = 0;
+    bodyRef.current.querySelectorAll('tr[data-index]').forEach(row => {
+      const index = Number(row.dataset.index);
+      const delta = heights.setHeight(index, row.getBoundingClientRect().height);
+      if (delta !== 0) {
+        changed = true;
+        if (index < firstIndex) shift += delta;
+      }
+    });
+
+    if (changed) {
+      setMeasured(version => version + 1);
+      if (shift !== 0) setScroll(current => moveScroll(current, current.top + shift, heights, viewportHeight));
+    }
+  }, [heights, rows, firstIndex, startIndex, endIndex, viewportHeight, viewportWidth, columns, columnWidths]);
+
+  /**
+   * Move the native scroll position after scrolling from code or realigning
+   */
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    const scrollTop = scroll.top - scroll.base;
+    if (Math.abs(viewport.scrollTop - scrollTop) >= 1) {
+      viewport.scrollTop = scrollTop;
+    }
+  }, [scroll, layout]);
+
+  /**
+   * Native scrolling: wheel, touch, scrollbar, keys and assistive technology
+   * Over more rows than the scroll area holds, small moves are 1:1 and move
+   * the scrollbar ahead of the rows; once scrolling pauses it is realigned
+   * with the position over all rows
+   */
+  const handleScroll = (e) => {
+    const { scrollTop } = e.currentTarget;
+    if (!heights) return;
+
+    setScroll(current => followScroll(current, scrollTop, heights, viewportHeight, scrollbarDrag.current));
+
+    clearTimeout(scrollEnd.current);
+    scrollEnd.current = setTimeout(() => {
+      const rowHeights = latest.current.layout?.heights;
+      if (rowHeights && !scrollbarDrag.current) {
+        setScroll(current => placeScroll(current.top, rowHeights, latest.current.viewportHeight));
+      }
+    }, 200);
   };
 
-  const handleScrollbarMouseMove = (e) => {
-    if (isDragging.current) {
-      updateScrollPosition(e);
+  useEffect(() => () => clearTimeout(scrollEnd.current), []);
+
+  /**
+   * A press on the native scrollbar starts a drag, which lands at the
+   * proportional position rather than moving the rows 1:1
+   */
+  const handleViewportPointerDown = (e) => {
+    const viewport = e.currentTarget;
+    const rect = viewport.getBoundingClientRect();
+    if (e.clientX < rect.left + viewport.clientLeft + viewport.clientWidth) return;
+
+    scrollbarDrag.current = true;
+    const handlePointerUp = () => {
+      scrollbarDrag.current = false;
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('mouseup', handlePointerUp);
+    };
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('mouseup', handlePointerUp);
+  };
+
+  /**
+   * Keep the query string in sync with the view
+   * Search, sort and filter changes add a history entry; scrolling replaces
+   * it once scrolling pauses
+   */
+  useEffect(() => {
+    const query = toUrlSearch({ searchTerm, sort, filters, row: 1 });
+    const search = toUrlSearch({ searchTerm, sort, filters, row: currentRow });
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (query !== urlQuery.current) {
+      window.history.pushState(null, '', url);
+      urlQuery.current = query;
+      return;
     }
+
+    const timeout = setTimeout(() => window.history.replaceState(null, '', url), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm, sort, filters, currentRow]);
+
+  /**
+   * Restore the view on browser back/forward
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = parseUrlState(window.location.search);
+      const query = toUrlSearch({ ...next, row: 1 });
+
+      if (query === urlQuery.current) {
+        scrollToRow(next.row - 1);
+        return;
+      }
+
+      urlQuery.current = query;
+      showQuery(next);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [scrollToRow, showQuery]);
+
+  /**
+   * Show a saved view from its first row
+   */
+  const handleApplyView = (view) => {
+    showQuery({
+      searchTerm: view.search,
+      sort: normalizeSort(view.sort),
+      filters: normalizeFilters(view.filters),
+      row: 1
+    });
+    setColumns(normalizeColumns(view.columns || DEFAULT_COLUMNS));
   };
 
-  const handleScrollbarMouseUp = () => {
-    isDragging.current = false;
-    document.removeEventListener('mousemove', handleScrollbarMouseMove);
-    document.removeEventListener('mouseup', handleScrollbarMouseUp);
+  /**
+   * Restore the user's columns
+   */
+  useEffect(() => {
+    loadPreferences()
+      .then(preferences => {
+        if (preferences.columns) setColumns(normalizeColumns(preferences.columns));
+        if (preferences.columnWidths) setColumnWidths(preferences.columnWidths);
+      })
+      .catch(error => console.error('Error loading preferences:', error));
+  }, []);
+
+  const saveColumnPreferences = (changes) => {
+    updatePreferences(changes).catch(error => console.error('Error saving preferences:', error));
   };
 
-  const updateScrollPosition = (e) => {
-    if (!scrollbarRef.current) return;
-    
-    const rect = scrollbarRef.current.getBoundingClientRect();
-    const y = e.clientY - rect.top;
-    const percentage = Math.max(0, Math.min(1, y / rect.height));
-    
-    setScrollPercentage(percentage);
-    const targetRow = Math.floor(percentage * totalCount);
-    const offset = Math.max(0, Math.min(totalCount - ITEMS_PER_PAGE, targetRow));
-    
-    loadCustomersAtOffset(offset);
+  const handleToggleColumn = (columnId) => {
+    const next = toggleColumn(columns, columnId);
+    setColumns(next);
+    saveColumnPreferences({ columns: next });
+  };
+
+  const handleResetColumns = () => {
+    setColumns(DEFAULT_COLUMNS);
+    setColumnWidths({});
+    saveColumnPreferences({ columns: DEFAULT_COLUMNS, columnWidths: {} });
   };
 
   /**
-   * Handle mouse wheel scrolling
+   * Header drag and drop: the dragged column takes the place of the one it is dropped on
    */
-  const handleWheel = (e) => {
+  const handleColumnDrop = (e, targetId) => {
     e.preventDefault();
-    const delta = e.deltaY > 0 ? ITEMS_PER_PAGE : -ITEMS_PER_PAGE;
-    const newOffset = Math.max(0, Math.min(totalCount - ITEMS_PER_PAGE, currentRow - 1 + delta));
-    const newPercentage = newOffset / totalCount;
-    
-    setScrollPercentage(newPercentage);
-    loadCustomersAtOffset(newOffset);
+    if (!dragColumn) return;
+
+    const next = moveColumn(columns, dragColumn.id, targetId);
+    setDragColumn(null);
+    if (next !== columns) {
+      setColumns(next);
+      saveColumnPreferences({ columns: next });
+    }
+  };
+
+  /**
+   * Drag a header's right edge to resize its column
+   */
+  const handleResizeStart = (e, columnId) => {
+    e.preventDefault(); // No header drag or text selection
+    e.stopPropagation();
+
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.offsetWidth;
+    let widths = columnWidths;
+    isResizing.current = true;
+
+    const handleMouseMove = (event) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + event.clientX - startX));
+      widths = { ...widths, [columnId]: width };
+      setColumnWidths(widths);
+    };
+
+    const handleMouseUp = () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      saveColumnPreferences({ columnWidths: widths });
+      // The click ending the resize must not sort the column
+      setTimeout(() => { isResizing.current = false; }, 0);
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  /**
+   * Fixed width of a resized column
+   */
+  const columnStyle = (columnId) => {
+    const width = columnWidths[columnId];
+    return width ? { width, minWidth: width, maxWidth: width } : undefined;
   };
 
   /**
-   * Handle keyboard navigation
+   * Keyboard shortcuts outside the grid
+   * "/" focuses the search and "?" opens the help; with the focus outside
+   * the grid, the navigation keys scroll the table. Keys the grid handled
+   * are already default-prevented.
    */
   const handleKeyDown = (e) => {
-    if (e.target.tagName === 'INPUT') return;
-    
-    let newOffset = currentRow - 1;
-    
+    if (e.defaultPrevented || detail || helpOpen || isTextEntry(e.target) || e.target.closest('[role="dialog"]')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === '/') {
+      e.preventDefault();
+      searchRef.current.focus();
+      return;
+    }
+    if (e.key === '?') {
+      e.preventDefault();
+      setHelpOpen(true);
+      return;
+    }
+
+    if (!heights) return;
+
     switch(e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        newOffset = Math.min(totalCount - ITEMS_PER_PAGE, newOffset + 1);
+        scrollToRow(Math.min(totalCount - 1, firstIndex + 1));
         break;
       case 'ArrowUp':
         e.preventDefault();
-        newOffset = Math.max(0, newOffset - 1);
+        // A partly hidden first row is brought into view first
+        scrollToRow(scroll.top > heights.offsetOf(firstIndex) ? firstIndex : Math.max(0, firstIndex - 1));
         break;
       case 'PageDown':
         e.preventDefault();
-        newOffset = Math.min(totalCount - ITEMS_PER_PAGE, newOffset + ITEMS_PER_PAGE);
+        scrollTo(scroll.top + viewportHeight);
         break;
       case 'PageUp':
         e.preventDefault();
-        newOffset = Math.max(0, newOffset - ITEMS_PER_PAGE);
+        scrollTo(scroll.top - viewportHeight);
         break;
       case 'Home':
         e.preventDefault();
-        newOffset = 0;
+        scrollTo(0);
         break;
       case 'End':
         e.preventDefault();
-        newOffset = totalCount - ITEMS_PER_PAGE;
+        scrollTo(heights.totalHeight);
         break;
       default:
         return;
     }
-    
-    setScrollPercentage(newOffset / totalCount);
-    loadCustomersAtOffset(newOffset);
   };
 
+  // Latest handleKeyDown, so the listener always sees the current state
+  const keyDownRef = useRef(handleKeyDown);
+  keyDownRef.current = handleKeyDown;
+
   useEffect(() => {
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [currentRow, totalCount]);
+    const listener = (e) => keyDownRef.current(e);
+    window.addEventListener('keydown', listener);
+    return () => window.removeEventListener('keydown', listener);
+  }, []);
+
+  /**
+   * Bring a row fully into view, scrolling as little as possible
+   */
+  const scrollRowIntoView = (index) => {
+    const rowTop = heights.offsetOf(index);
+    const rowBottom = heights.offsetOf(index + 1);
+
+    if (rowTop < scroll.top) {
+      scrollTo(rowTop);
+    } else if (rowBottom > scroll.top + viewportHeight) {
+      scrollTo(Math.min(rowTop, rowBottom - viewportHeight));
+    }
+  };
 
   /**
-   * Close filter dropdown when clicking outside
+   * Move the roving focus to a grid cell, clamped to the grid
+   * @param {number} row - Row index, -1 for the header
+   * @param {number} col - Column index, 0 for the checkbox column
+   */
+  const moveFocus = (row, col) => {
+    const nextRow = Math.max(-1, Math.min(totalCount - 1, row));
+    const nextCol = Math.max(0, Math.min(visibleColumns.length, col));
+
+    focusPending.current = true;
+    setFocusCell({ row: nextRow, col: nextCol });
+    if (nextRow >= 0) scrollRowIntoView(nextRow);
+  };
+
+  /**
+   * Focus the grid cell once it is rendered
+   * A row that is still loading gets focus when its data arrives
    */
   useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (filterRef.current && !filterRef.current.contains(event.target)) {
-        setShowFilters(false);
+    if (!focusPending.current) return;
+
+    const row = focusCell.row < 0
+      ? headRef.current.rows[0]
+      : bodyRef.current?.querySelector(`tr[data-index="${focusCell.row}"]`);
+    const cell = row?.cells[focusCell.col];
+    if (cell) {
+      focusPending.current = false;
+      cell.focus({ preventScroll: true });
+    }
+  }, [focusCell, rows, startIndex, endIndex]);
+
+  /**
+   * Follow focus that moved by mouse or Tab
+   */
+  const handleGridFocus = (e) => {
+    const cell = e.target.closest('td, th');
+    const row = cell?.parentElement;
+    if (!row) return;
+
+    let index = null;
+    if (row.parentElement === headRef.current) index = -1;
+    else if (row.dataset.index !== undefined) index = Number(row.dataset.index);
+    if (index === null) return;
+
+    if (index !== focusCell.row || cell.cellIndex !== focusCell.col) {
+      setFocusCell({ row: index, col: cell.cellIndex });
+    }
+  };
+
+  /**
+   * Enter or Space on a cell
+   * Header: sort by the column, or select the rows in view from the
+   * checkbox column. Rows: Enter opens the customer, Space selects the row.
+   */
+  const activateCell = (e) => {
+    const { row, col } = focusCell;
+    const column = visibleColumns[col - 1];
+
+    if (row < 0) {
+      if (col === 0) {
+        setSelection(current => setRowsSelected(current, pageIds, !pageSelected));
+      } else if (column.sortField) {
+        handleSort(e, column.sortField);
       }
-    };
+      return;
+    }
 
-    if (showFilters) {
-      document.addEventListener('mousedown', handleClickOutside);
+    const customer = rowAt(row);
+    if (!customer) return;
+
+    if (e.key === 'Enter') {
+      setDetail({ position: row });
+    } else {
+      handleRowSelect(row, customer.id, !isRowSelected(selection, customer.id), e.shiftKey);
     }
+  };
 
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-    };
-  }, [showFilters]);
+  /**
+   * WAI-ARIA grid navigation
+   * The grid has one tab stop; arrow, page and Home/End keys move it
+   * between cells, scrolling the rows as needed
+   */
+  const handleGridKeyDown = (e) => {
+    if (e.altKey || e.metaKey) return;
+
+    const { row, col } = focusCell;
+    const screenRows = Math.max(1, lastIndex - firstIndex);
+
+    switch (e.key) {
+      case 'ArrowRight':
+        moveFocus(row, col + 1);
+        break;
+      case 'ArrowLeft':
+        moveFocus(row, col - 1);
+        break;
+      case 'ArrowDown':
+        moveFocus(row + 1, col);
+        break;
+      case 'ArrowUp':
+        moveFocus(row - 1, col);
+        break;
+      case 'PageDown':
+        moveFocus(row + screenRows, col);
+        break;
+      case 'PageUp':
+        moveFocus(row < 0 ? row : Math.max(0, row - screenRows), col);
+        break;
+      case 'Home':
+        moveFocus(e.ctrlKey ? 0 : row, 0);
+        break;
+      case 'End':
+        moveFocus(e.ctrlKey ? totalCount - 1 : row, visibleColumns.length);
+        break;
+      case 'Enter':
+      case ' ':
+        // The checkbox toggles itself on Space
+        if (e.key === ' ' && e.target.tagName === 'INPUT') return;
+        activateCell(e);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
 
   /**
    * Debounced search handler
+   * SearchBox only calls it with valid queries
    */
-  const handleSearch = (e) => {
-    const value = e.target.value;
-    
+  const handleSearch = (value) => {
     if (searchTimeout.current) {
       clearTimeout(searchTimeout.current);
     }
     
     searchTimeout.current = setTimeout(() => {
       setSearchTerm(value);
-      setCurrentRow(1);
-      setScrollPercentage(0);
+      if (!getSearchText(value)) {
+        setSort(current => withoutRelevance(current));
+      }
+      setSelection(EMPTY_SELECTION);
+      targetRow.current = 0;
     }, 250);
   };
 
   /**
-   * Column sort handler
+   * Apply new filters and go back to the first row
    */
-  const handleSort = (column) => {
-    if (sortBy === column) {
-      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
-    } else {
-      setSortBy(column);
-      setSortOrder('asc');
+  const handleFiltersChange = (nextFilters) => {
+    setFilters(nextFilters);
+    setSelection(EMPTY_SELECTION);
+    targetRow.current = 0;
+  };
+
+  /**
+   * Select or deselect a row, from its checkbox or Space
+   * Shift selects every row between the last selected row and this one
+   * @param {number} rowIndex - Row index in the results
+   * @param {number} customerId - Customer in the row
+   * @param {boolean} selected - Select or deselect
+   * @param {boolean} extend - Apply to the range from the last selected row
+   */
+  const handleRowSelect = async (rowIndex, customerId, selected, extend) => {
+    const anchor = selectionAnchor.current;
+    selectionAnchor.current = rowIndex;
+
+    if (!extend || anchor === null || anchor === rowIndex) {
+      setSelection(current => setRowsSelected(current, [customerId], selected));
+      return;
+    }
+
+    try {
+      const { ids } = await getCustomerIds({
+        offset: Math.min(anchor, rowIndex),
+        limit: Math.abs(rowIndex - anchor) + 1,
+        search: searchTerm,
+        sort,
+        filters
+      });
+      setSelection(current => setRowsSelected(current, ids, selected));
+    } catch (error) {
+      console.error('Error selecting rows:', error);
+      window.alert('Could not select the rows. Please try again.');
     }
-    setCurrentRow(1);
-    setScrollPercentage(0);
+  };
+
+  /**
+   * Run a bulk action over the selected ids with progress reporting
+   * @param {string} label - Progress label
+   * @param {Function} action - (ids, onProgress) => Promise
+   * @param {boolean} reload - Reload the current rows afterwards
+   */
+  const runBulkAction = async (label, action, reload) => {
+    setBulkProgress({ label, current: 0, total: 0 });
+
+    try {
+      const ids = await resolveSelectedIds(selection, { search: searchTerm, sort, filters });
+      setBulkProgress({ label, current: 0, total: ids.length });
+      await action(ids, (current, total) => setBulkProgress({ label, current, total }));
+
+      if (reload) {
+        setSelection(EMPTY_SELECTION);
+        selectionAnchor.current = null;
+        await reloadCurrentRows();
+      }
+    } catch (error) {
+      console.error(`Bulk action failed (${label}):`, error);
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  const handleBulkReassign = (agent) => runBulkAction(
+    'Reassigning',
+    (ids, onProgress) => updateCustomers(ids, { addedBy: agent }, onProgress),
+    true
+  );
+
+  const handleBulkDelete = () => {
+    if (window.confirm(`Delete ${selectedCount.toLocaleString()} customers? This cannot be undone.`)) {
+      runBulkAction('Deleting', deleteCustomers, true);
+    }
+  };
+
+  const handleBulkExport = () => runBulkAction('Exporting', exportCustomerIdsAsCsv, false);
+
+  /**
+   * Drawer callbacks - refresh the rows in view after a change
+   */
+  const closeDrawer = useCallback(() => setDrawer(null), []);
+
+  const handleCustomerSaved = () => {
+    setDrawer(null);
+    refreshRows();
+  };
+
+  const handleCustomerDeleted = (id) => {
+    setDrawer(null);
+    setSelection(current => setRowsSelected(current, [id], false));
+    refreshRows();
+  };
+
+  /**
+   * Detail page callbacks
+   */
+  const handleDetailNavigate = useCallback((position) => setDetail({ position }), []);
+
+  /**
+   * Back to the table, scrolled to the last customer shown if it is not in view
+   */
+  const closeDetail = () => {
+    const { position } = detail;
+    setDetail(null);
+
+    // Focus returns to the customer's row
+    focusPending.current = true;
+    setFocusCell(current => ({ row: position, col: current.row < 0 ? 1 : current.col }));
+
+    if (position < firstIndex || position > lastIndex) {
+      scrollToRow(position);
+    }
+  };
+
+  /**
+   * Column sort handler
+   * Shift-click adds the column as a secondary or tertiary sort key
+   */
+  const handleSort = (e, field) => {
+    if (isResizing.current) return;
+
+    const next = toggleSortKey(sort, field, e.shiftKey);
+    if (next === sort) return;
+
+    setSort(next);
+    targetRow.current = 0;
+  };
+
+  /**
+   * Switch between sorting by search relevance and the default order
+   */
+  const handleRelevanceSort = () => {
+    setSort(sortedByRelevance ? withoutRelevance(sort) : RELEVANCE_SORT);
+    targetRow.current = 0;
+  };
+
+  /**
+   * Cell text with the parts matching the search highlighted
+   */
+  const highlight = (value) => {
+    if (!searchText) return value;
+    return highlightMatches(value, searchText).map((part, index) => (
+      part.match
+        ? <mark key={index} className="search-highlight">{part.text}</mark>
+        : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ));
   };
 
   /**
@@ -225,20 +890,59 @@ export default function CustomerTable() {
   };
 
   /**
-   * Render sort indicator
+   * Render sort indicator, with the key's priority when sorting by several columns
+   */
+  const renderSortIcon = (field) => {
+    const index = sort.findIndex(key => key.field === field);
+    if (index === -1) return null;
+
+    const arrow = sort[index].order === 'asc' ? ' ↑' : ' ↓';
+    if (sort.length === 1) return arrow;
+    return <>{arrow}<sup className="sort-priority">{index + 1}</sup></>;
+  };
+
+  /**
+   * aria-sort of a column header: only the primary sort key is announced
    */
-  const renderSortIcon = (column) => {
-    if (sortBy !== column) return null;
-    return sortOrder === 'asc' ? ' ↑' : ' ↓';
+  const ariaSort = (field) => {
+    if (!field) return undefined;
+    if (sort[0].field !== field) return 'none';
+    return sort[0].order === 'asc' ? 'ascending' : 'descending';
+  };
+
+  /**
+   * Cell content for a column
+   */
+  const renderCell = (columnId, customer) => {
+    switch (columnId) {
+      case 'name':
+        return (
+          <div className="customer-cell">
+            <Avatar customer={customer} alt="" className="avatar" />
+            <div className="customer-info">
+              <div className="customer-name">{highlight(customer.name)}</div>
+              <div className="customer-phone">{highlight(customer.phone)}</div>
+            </div>
+          </div>
+        );
+      case 'phone':
+      case 'email':
+        return highlight(customer[columnId]);
+      case 'lastMessageAt':
+        return formatDate(customer.lastMessageAt);
+      case 'addedBy':
+        return <><span className="agent-icon">👤</span> {customer.addedBy}</>;
+      default:
+        return customer[columnId];
+    }
   };
 
   /**
    * Get pagination text
    */
   const getPaginationText = () => {
-    const start = currentRow;
-    const end = Math.min(currentRow + customers.length - 1, totalCount);
-    return `${start.toLocaleString()}-${end.toLocaleString()} of ${totalCount.toLocaleString()}`;
+    if (totalCount === 0) return 'No customers';
+    return `${currentRow.toLocaleString()}-${(lastIndex + 1).toLocaleString()} of ${totalCount.toLocaleString()}`;
   };
 
   /**
@@ -250,13 +954,34 @@ export default function CustomerTable() {
     const rowNumber = parseInt(input.value);
     
     if (rowNumber >= 1 && rowNumber <= totalCount) {
-      const offset = Math.max(0, rowNumber - 1);
-      setScrollPercentage(offset / totalCount);
-      loadCustomersAtOffset(offset);
+      scrollToRow(rowNumber - 1);
       input.value = '';
     }
   };
 
+  const filterChips = describeFilters(filters);
+  const visibleColumns = resolveColumns(columns);
+  const selectedCount = getSelectedCount(selection, totalCount);
+  const pageIds = [];
+  for (let index = firstIndex; index <= lastIndex; index++) {
+    const customer = rowAt(index);
+    if (customer) pageIds.push(customer.id);
+  }
+  const selectedOnPage = pageIds.filter(id => isRowSelected(selection, id)).length;
+  const pageSelected = pageIds.length > 0 && selectedOnPage === pageIds.length;
+
+  // Rendered rows, between spacers that stand for the rows around them
+  const rowIndexes = [];
+  for (let index = startIndex; index < endIndex; index++) rowIndexes.push(index);
+  const topSpace = heights ? Math.max(0, heights.offsetOf(startIndex) - scroll.base) : 0;
+  const bottomSpace = heights
+    ? Math.max(0, getScrollHeight(heights) - (heights.offsetOf(endIndex) - scroll.base))
+    : 0;
+
+  // The grid's single tab stop: the focused cell, or its column header while its row is not rendered
+  const focusRow = rowAt(focusCell.row) && focusCell.row >= startIndex && focusCell.row < endIndex ? focusCell.row : -1;
+  const cellTabIndex = (row, col) => (row === focusRow && col === Math.min(focusCell.col, visibleColumns.length) ? 0 : -1);
+
   return (
     <div className="customer-table-container">
       {/* ===== HEADER ===== */}
@@ -295,41 +1020,50 @@ export default function CustomerTable() {
         <h2 className="customers-title">
           All Customers <span className="count">{totalCount.toLocaleString()}</span>
         </h2>
+        <ViewTabs
+          current={{ search: searchTerm, sort, filters, columns }}
+          onApply={handleApplyView}
+          dataVersion={dataVersion}
+        />
       </div>
 
       {/* ===== SEARCH AND FILTERS ===== */}
       <div className="controls">
-        <div className="search-box">
-          <img src={searchIcon} alt="Search" className="search-icon" />
-          <input
-            type="text"
-            placeholder="Search Customers"
-            onChange={handleSearch}
-            className="search-input"
-            aria-label="Search customers"
-          />
-        </div>
-        
-        <div className="filter-dropdown" ref={filterRef}>
-          <button 
-            className="filter-button"
-            onClick={() => setShowFilters(!showFilters)}
-            aria-label="Toggle filters"
-            aria-expanded={showFilters}
+        <SearchBox value={searchTerm} onSearch={handleSearch} ref={searchRef} />
+
+        {searchText && (
+          <button
+            className={`filter-button relevance-button ${sortedByRelevance ? 'active' : ''}`}
+            onClick={handleRelevanceSort}
+            aria-pressed={sortedByRelevance}
+            title="Sort the results by how well they match the search"
           >
-            <img src={filterIcon} alt="Filter" />
-            Add Filters
+            Best match{sortedByRelevance ? ' ↓' : ''}
           </button>
-          
-          {showFilters && (
-            <div className="filter-menu" role="menu">
-              <div className="filter-item" role="menuitem">Status Filter</div>
-              <div className="filter-item" role="menuitem">Score Range</div>
-              <div className="filter-item" role="menuitem">Date Range</div>
-              <div className="filter-item" role="menuitem">Agent Filter</div>
-            </div>
-          )}
-        </div>
+        )}
+        
+        <FilterMenu filters={filters} onChange={handleFiltersChange} />
+
+        <ExportMenu query={{ search: searchTerm, sort, filters }} total={totalCount} />
+
+        <ColumnMenu columns={columns} onToggle={handleToggleColumn} onReset={handleResetColumns} />
+
+        <button className="filter-button" onClick={() => setImportOpen(true)}>
+          Import
+        </button>
+
+        <button className="filter-button" onClick={() => setSettingsOpen(true)}>
+          Dataset
+        </button>
+
+        <button
+          className="filter-button"
+          onClick={() => setHelpOpen(true)}
+          aria-keyshortcuts="?"
+          title="Keyboard shortcuts (?)"
+        >
+          Shortcuts
+        </button>
 
         {/* Jump to Row Input */}
         <form onSubmit={handleJumpToRow} className="jump-to-row">
@@ -343,124 +1077,242 @@ export default function CustomerTable() {
           />
           <button type="submit" className="jump-button">Go</button>
         </form>
+
+        <button className="add-customer-button" onClick={() => setDrawer({ customer: null })}>
+          + Add customer
+        </button>
       </div>
 
+      {/* ===== ACTIVE FILTERS ===== */}
+      {filterChips.length > 0 && (
+        <div className="filter-chips">
+          {filterChips.map(chip => (
+            <span key={chip.key} className="filter-chip">
+              {chip.label}
+              <button
+                className="filter-chip-remove"
+                onClick={() => handleFiltersChange(removeFilter(filters, chip.key))}
+                aria-label={`Remove filter ${chip.label}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <button className="filter-chips-clear" onClick={() => handleFiltersChange(EMPTY_FILTERS)}>
+            Clear all
+          </button>
+        </div>
+      )}
+
+      {/* ===== BULK ACTIONS ===== */}
+      {(selectedCount > 0 || bulkProgress) && (
+        <BulkActionBar
+          count={selectedCount}
+          total={totalCount}
+          canSelectAll={pageSelected && !selection.all && selectedCount < totalCount}
+          progress={bulkProgress}
+          onSelectAll={() => setSelection(selectAllMatching())}
+          onClear={() => setSelection(EMPTY_SELECTION)}
+          onReassign={handleBulkReassign}
+          onDelete={handleBulkDelete}
+          onExport={handleBulkExport}
+        />
+      )}
+
       {/* ===== PAGINATION COUNTER ===== */}
       <div className="pagination-info">
         <span className="pagination-text">{getPaginationText()}</span>
-        <span className="pagination-hint">Use mouse wheel, arrow keys, or drag scrollbar →</span>
+        <span className="pagination-hint">Scroll, drag the scrollbar or use the arrow keys in the table · Press ? for shortcuts</span>
       </div>
 
-      {/* ===== TABLE WITH VIRTUAL SCROLLBAR ===== */}
+      {/* ===== TABLE ===== */}
       <div className="table-container">
-        <div className="table-wrapper" onWheel={handleWheel}>
-          <table className="customer-table">
-            <thead>
-              <tr>
-                <th className="checkbox-col">
-                  <input type="checkbox" aria-label="Select all customers" />
-                </th>
-                <th 
-                  onClick={() => handleSort('name')} 
-                  className="sortable customer-col"
-                  role="button"
-                  tabIndex={0}
-                >
-                  Customer{renderSortIcon('name')}
-                </th>
-                <th 
-                  onClick={() => handleSort('phone')} 
-                  className="sortable"
-                  role="button"
-                  tabIndex={0}
-                >
-                  Phone{renderSortIcon('phone')}
-                </th>
-                <th 
-                  onClick={() => handleSort('email')} 
-                  className="sortable"
-                  role="button"
-                  tabIndex={0}
-                >
-                  Email{renderSortIcon('email')}
-                </th>
-                <th 
-                  onClick={() => handleSort('score')} 
-                  className="sortable score-col"
-                  role="button"
-                  tabIndex={0}
-                >
-                  Score{renderSortIcon('score')}
-                </th>
-                <th 
-                  onClick={() => handleSort('lastMessageAt')} 
-                  className="sortable"
-                  role="button"
-                  tabIndex={0}
-                >
-                  Last message sent at{renderSortIcon('lastMessageAt')}
+        <div
+          className="table-wrapper"
+          ref={viewportRef}
+          onScroll={handleScroll}
+          onPointerDown={handleViewportPointerDown}
+        >
+          <table
+            className="customer-table"
+            role="grid"
+            aria-label="Customers"
+            aria-rowcount={totalCount + 1}
+            aria-colcount={visibleColumns.length + 1}
+            aria-multiselectable="true"
+            onKeyDown={handleGridKeyDown}
+            onFocus={handleGridFocus}
+          >
+            <thead ref={headRef}>
+              <tr aria-rowindex={1}>
+                <th className="checkbox-col pinned" tabIndex={cellTabIndex(-1, 0)}>
+                  <input
+                    type="checkbox"
+                    tabIndex={-1}
+                    aria-label="Select all customers in view"
+                    checked={pageSelected}
+                    ref={(el) => {
+                      if (el) el.indeterminate = selectedOnPage > 0 && !pageSelected;
+                    }}
+                    onChange={() => setSelection(current => setRowsSelected(current, pageIds, !pageSelected))}
+                  />
                 </th>
-                <th>Added by</th>
+                {visibleColumns.map((column, columnIndex) => (
+                  <th
+                    key={column.id}
+                    className={[
+                      column.className,
+                      column.sortField && 'sortable',
+                      column.pinned && 'pinned',
+                      columnWidths[column.id] && 'sized',
+                      dragColumn?.over === column.id && dragColumn.id !== column.id && 'drag-over'
+                    ].filter(Boolean).join(' ') || undefined}
+                    style={columnStyle(column.id)}
+                    onClick={column.sortField ? (e) => handleSort(e, column.sortField) : undefined}
+                    onMouseDown={(e) => e.shiftKey && e.preventDefault()}
+                    tabIndex={cellTabIndex(-1, columnIndex + 1)}
+                    aria-sort={ariaSort(column.sortField)}
+                    draggable={!column.pinned}
+                    onDragStart={() => setDragColumn({ id: column.id, over: null })}
+                    onDragOver={(e) => {
+                      if (!dragColumn || column.pinned) return;
+                      e.preventDefault();
+                      if (dragColumn.over !== column.id) setDragColumn({ ...dragColumn, over: column.id });
+                    }}
+                    onDrop={(e) => handleColumnDrop(e, column.id)}
+                    onDragEnd={() => setDragColumn(null)}
+                  >
+                    {column.label}{column.sortField && renderSortIcon(column.sortField)}
+                    <span
+                      className="column-resizer"
+                      onMouseDown={(e) => handleResizeStart(e, column.id)}
+                      aria-hidden="true"
+                    />
+                  </th>
+                ))}
               </tr>
             </thead>
-            <tbody>
-              {loading ? (
+            <tbody ref={bodyRef}>
+              {!layout ? (
                 <tr>
-                  <td colSpan="7" className="loading-cell">
-                    Loading rows {currentRow.toLocaleString()}-{(currentRow + ITEMS_PER_PAGE - 1).toLocaleString()}...
+                  <td colSpan={visibleColumns.length + 1} className="loading-cell">
+                    Loading customers...
                   </td>
                 </tr>
               ) : (
-                customers.map((customer) => (
-                  <tr key={customer.id}>
-                    <td className="checkbox-col">
-                      <input 
-                        type="checkbox" 
-                        aria-label={`Select ${customer.name}`} 
-                      />
-                    </td>
-                    <td className="customer-col">
-                      <div className="customer-cell">
-                        <img 
-                          src={customer.avatar} 
-                          alt={customer.name} 
-                          className="avatar" 
-                        />
-                        <div className="customer-info">
-                          <div className="customer-name">{customer.name}</div>
-                          <div className="customer-phone">{customer.phone}</div>
-                        </div>
-                      </div>
-                    </td>
-                    <td>{customer.phone}</td>
-                    <td>{customer.email}</td>
-                    <td className="score-col">{customer.score}</td>
-                    <td>{formatDate(customer.lastMessageAt)}</td>
-                    <td className="added-by">
-                      <span className="agent-icon">👤</span> {customer.addedBy}
-                    </td>
+                <>
+                  <tr className="spacer-row" aria-hidden="true" style={{ height: topSpace }}>
+                    <td colSpan={visibleColumns.length + 1} />
+                  </tr>
+                  {rowIndexes.map(index => {
+                    const customer = rowAt(index);
+                    if (!customer) {
+                      return (
+                        <tr
+                          key={`placeholder-${index}`}
+                          className="placeholder-row"
+                          aria-rowindex={index + 2}
+                          style={{ height: heights.heightOf(index) }}
+                        >
+                          <td colSpan={visibleColumns.length + 1} className="placeholder-cell">
+                            Loading row {(index + 1).toLocaleString()}...
+                          </td>
+                        </tr>
+                      );
+                    }
+
+                    return (
+                      <tr
+                        key={customer.id}
+                        data-index={index}
+                        aria-rowindex={index + 2}
+                        aria-selected={isRowSelected(selection, customer.id)}
+                        className={isRowSelected(selection, customer.id) ? 'selected' : undefined}
+                        onClick={() => setDetail({ position: index })}
+                      >
+                        <td
+                          className="checkbox-col pinned"
+                          tabIndex={cellTabIndex(index, 0)}
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <input 
+                            type="checkbox" 
+                            tabIndex={-1}
+                            aria-label={`Select ${customer.name}`} 
+                            checked={isRowSelected(selection, customer.id)}
+                            onChange={(e) => handleRowSelect(index, customer.id, e.target.checked, e.nativeEvent.shiftKey)}
+                          />
+                        </td>
+                        {visibleColumns.map((column, columnIndex) => (
+                          <td
+                            key={column.id}
+                            tabIndex={cellTabIndex(index, columnIndex + 1)}
+                            className={[
+                              column.cellClassName || column.className,
+                              column.pinned && 'pinned',
+                              columnWidths[column.id] && 'sized'
+                            ].filter(Boolean).join(' ') || undefined}
+                            style={columnStyle(column.id)}
+                          >
+                            {renderCell(column.id, customer)}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                  <tr className="spacer-row" aria-hidden="true" style={{ height: bottomSpace }}>
+                    <td colSpan={visibleColumns.length + 1} />
                   </tr>
-                ))
+                </>
               )}
             </tbody>
           </table>
         </div>
-
-        {/* VIRTUAL SCROLLBAR */}
-        <div 
-          className="virtual-scrollbar"
-          ref={scrollbarRef}
-          onMouseDown={handleScrollbarMouseDown}
-        >
-          <div 
-            className="scrollbar-thumb"
-            style={{ 
-              top: `${scrollPercentage * 100}%`,
-              height: `${(ITEMS_PER_PAGE / totalCount) * 100}%`
-            }}
-          />
-        </div>
       </div>
+
+      {/* ===== CUSTOMER DETAIL PAGE ===== */}
+      {detail && (
+        <CustomerDetail
+          position={detail.position}
+          search={searchTerm}
+          sort={sort}
+          filters={filters}
+          dataVersion={dataVersion}
+          paused={Boolean(drawer)}
+          onNavigate={handleDetailNavigate}
+          onClose={closeDetail}
+          onEdit={(customer) => setDrawer({ customer })}
+        />
+      )}
+
+      {/* ===== CUSTOMER DRAWER ===== */}
+      {drawer && (
+        <CustomerDrawer
+          key={drawer.customer?.id ?? 'new'}
+          customer={drawer.customer}
+          onClose={closeDrawer}
+          onSaved={handleCustomerSaved}
+          onDeleted={handleCustomerDeleted}
+        />
+      )}
+
+      {/* ===== CSV IMPORT ===== */}
+      {importOpen && (
+        <ImportDialog
+          onClose={() => setImportOpen(false)}
+          onImported={refreshRows}
+        />
+      )}
+
+      {/* ===== KEYBOARD HELP ===== */}
+      {helpOpen && (
+        <KeyboardHelp onClose={() => setHelpOpen(false)} />
+      )}
+
+      {/* ===== DATASET SETTINGS ===== */}
+      {settingsOpen && (
+        <DatasetSettings onClose={() => setSettingsOpen(false)} onSeed={onSeed} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+// src/components/DatabaseNotice.jsx
+
+import React from 'react';
+import '../styles/DatabaseNotice.css';
+
+const MESSAGES = {
+  blocked: 'DoubleTick is updating its database. Close other DoubleTick tabs to continue.',
+  versionchange: 'The database was updated in another tab. Reload this page to continue.'
+};
+
+/**
+ * Banner for database events that need the user to act
+ * @param {string} props.event - 'blocked' or 'versionchange'
+ */
+export default function DatabaseNotice({ event }) {
+  return (
+    <div className="database-notice" role="alert">
+      <span>{MESSAGES[event]}</span>
+      {event === 'versionchange' && (
+        <button className="database-notice-button" onClick={() => window.location.reload()}>
+          Reload
+        </button>
+      )}
+    </div>
+  );
+}
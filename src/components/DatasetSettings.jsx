@@ -0,0 +1,144 @@
+// src/components/DatasetSettings.jsx
+
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { getDataset, clearDatabase } from '../utils/customerApi';
+import { DATASET_SIZES } from '../utils/dataSource';
+import '../styles/DatasetSettings.css';
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Dataset settings: size and seed of the stored records
+ * Regenerating replaces every customer; seeding itself runs in App, which
+ * shows the loading screen meanwhile. Seeding that stopped early can be
+ * resumed from here.
+ * @param {Function} props.onClose - Close the dialog
+ * @param {Function} props.onSeed - Seed the database; called with { size, seed }
+ *   to regenerate it, without arguments to resume
+ */
+export default function DatasetSettings({ onClose, onSeed }) {
+  const [dataset, setDataset] = useState(null); // { size, seed, seededThrough }
+  const [size, setSize] = useState(null);
+  const [seed, setSeed] = useState('');
+  const [error, setError] = useState(null);
+
+  const seedValue = Number(seed);
+  const seedValid = seed !== '' && Number.isInteger(seedValue) && seedValue >= 0 && seedValue <= MAX_SEED;
+  const complete = dataset && dataset.seededThrough >= dataset.size;
+
+  useEffect(() => {
+    getDataset()
+      .then(current => {
+        setDataset(current);
+        setSize(current.size);
+        setSeed(String(current.seed));
+      })
+      .catch(loadError => {
+        console.error('Error loading dataset settings:', loadError);
+        setError('Could not read the dataset settings.');
+      });
+  }, []);
+
+  /**
+   * Close on Escape
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    if (!window.confirm(
+      `Replace all customers with ${size.toLocaleString()} new ones? Edits, imported customers and photos are lost.`
+    )) return;
+
+    onSeed({ size, seed: seedValue });
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete the whole database, including saved views and column settings? The page then reloads.')) {
+      return;
+    }
+
+    try {
+      await clearDatabase();
+      window.location.reload();
+    } catch (clearError) {
+      console.error('Error clearing database:', clearError);
+      setError('Could not delete the database. Close other DoubleTick tabs and try again.');
+    }
+  };
+
+  return createPortal(
+    <div className="dataset-overlay">
+      <div className="dataset-dialog" role="dialog" aria-modal="true" aria-labelledby="dataset-title">
+        <div className="dataset-header">
+          <h2 id="dataset-title">Dataset</h2>
+          <button className="dataset-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <p className="dataset-error" role="alert">{error}</p>}
+
+        {dataset && (
+          <>
+            <p className="dataset-status">
+              {complete
+                ? `${dataset.size.toLocaleString()} stored customers generated with seed ${dataset.seed}.`
+                : `Seeding stopped at ${dataset.seededThrough.toLocaleString()} of ${dataset.size.toLocaleString()} customers.`}
+            </p>
+            {!complete && (
+              <button className="dataset-button" onClick={() => onSeed()}>
+                Resume seeding
+              </button>
+            )}
+
+            <form className="dataset-form" onSubmit={handleRegenerate}>
+              <label className="dataset-field">
+                <span>Stored customers</span>
+                <select value={size} onChange={(e) => setSize(Number(e.target.value))}>
+                  {[...new Set([...DATASET_SIZES, dataset.size])].sort((a, b) => a - b).map(option => (
+                    <option key={option} value={option}>{option.toLocaleString()}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="dataset-field">
+                <span>Seed</span>
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_SEED}
+                  step="1"
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                  aria-invalid={!seedValid}
+                />
+              </label>
+
+              <p className="dataset-note">
+                The same size and seed always give the same customers. Rows past the stored
+                ones are generated on the fly up to 1,000,000. Saved views and column settings are kept.
+              </p>
+
+              <div className="dataset-actions">
+                <button type="button" className="dataset-button danger" onClick={handleClear}>
+                  Clear database
+                </button>
+                <button type="submit" className="dataset-button primary" disabled={!seedValid}>
+                  Regenerate
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,110 @@
+// src/components/ExportMenu.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { EXPORT_FORMATS, exportCustomers } from '../utils/exportCustomers';
+import LoadingScreen from './LoadingScreen';
+
+/**
+ * "Export" dropdown
+ * Exports the current result set (search, sort and filters applied) in the
+ * chosen format, with a cancellable progress overlay
+ * @param {Object} props.query - { search, sort, filters }
+ * @param {number} props.total - Rows in the current result set
+ */
+export default function ExportMenu({ query, total }) {
+  const [open, setOpen] = useState(false);
+  const [job, setJob] = useState(null); // { label, current, total } while exporting
+  const menuRef = useRef(null);
+  const abortController = useRef(null);
+
+  /**
+   * Close dropdown when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  /**
+   * Cancel a running export when unmounting
+   */
+  useEffect(() => () => abortController.current?.abort(), []);
+
+  const startExport = async (format) => {
+    setOpen(false);
+    abortController.current = new AbortController();
+    setJob({ label: format.label, current: 0, total });
+
+    try {
+      await exportCustomers({
+        query,
+        format: format.id,
+        signal: abortController.current.signal,
+        onProgress: (current, all) => setJob({ label: format.label, current, total: all })
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error exporting customers:', error);
+        window.alert('Export failed. Please try again.');
+      }
+    } finally {
+      abortController.current = null;
+      setJob(null);
+    }
+  };
+
+  return (
+    <div className="filter-dropdown" ref={menuRef}>
+      <button
+        className="filter-button"
+        onClick={() => setOpen(!open)}
+        aria-label="Export customers"
+        aria-expanded={open}
+        disabled={Boolean(job)}
+      >
+        Export
+      </button>
+
+      {open && (
+        <div className="filter-menu" role="menu">
+          {EXPORT_FORMATS.map(format => (
+            <div
+              key={format.id}
+              className="filter-item"
+              role="menuitem"
+              tabIndex={0}
+              onClick={() => startExport(format)}
+              onKeyDown={(e) => e.key === 'Enter' && startExport(format)}
+            >
+              {format.label}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Rendered into body so the sticky toolbar does not clip the overlay */}
+      {job && createPortal(
+        <LoadingScreen
+          overlay
+          progress={job.current}
+          total={job.total}
+          message={`Exporting ${job.total.toLocaleString()} customers as ${job.label}...`}
+          onCancel={() => abortController.current?.abort()}
+        />,
+        document.body
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+// src/components/FilterMenu.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { DATE_PRESETS } from '../utils/filters';
+import { defaultDataSource } from '../utils/dataSource';
+import filterIcon from '../assets/test_Filter.svg';
+import '../styles/FilterMenu.css';
+
+const EDITORS = [
+  { id: 'score', label: 'Score Range' },
+  { id: 'date', label: 'Date Range' },
+  { id: 'agents', label: 'Agent Filter' }
+];
+
+/**
+ * "Add Filters" dropdown
+ * Lists the filter groups and opens an editor for the chosen one
+ * @param {Object} props.filters - Current filters
+ * @param {Function} props.onChange - Called with the new filters on apply
+ */
+export default function FilterMenu({ filters, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [editor, setEditor] = useState(null);
+  const menuRef = useRef(null);
+
+  /**
+   * Close dropdown when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+        setEditor(null);
+      }
+    };
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  const toggle = () => {
+    setOpen(!open);
+    setEditor(null);
+  };
+
+  const apply = (changes) => {
+    onChange({ ...filters, ...changes });
+    setOpen(false);
+    setEditor(null);
+  };
+
+  return (
+    <div className="filter-dropdown" ref={menuRef}>
+      <button
+        className="filter-button"
+        onClick={toggle}
+        aria-label="Toggle filters"
+        aria-expanded={open}
+      >
+        <img src={filterIcon} alt="Filter" />
+        Add Filters
+      </button>
+
+      {open && !editor && (
+        <div className="filter-menu" role="menu">
+          {EDITORS.map(item => (
+            <div
+              key={item.id}
+              className="filter-item"
+              role="menuitem"
+              tabIndex={0}
+              onClick={() => setEditor(item.id)}
+              onKeyDown={(e) => e.key === 'Enter' && setEditor(item.id)}
+            >
+              {item.label}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {open && editor && (
+        <div className="filter-menu filter-editor">
+          <button className="filter-back" onClick={() => setEditor(null)}>
+            ← {EDITORS.find(item => item.id === editor).label}
+          </button>
+          {editor === 'score' && <ScoreEditor filters={filters} onApply={apply} />}
+          {editor === 'date' && <DateEditor filters={filters} onApply={apply} />}
+          {editor === 'agents' && <AgentEditor filters={filters} onApply={apply} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Parse a number input, keeping empty as "no bound"
+ */
+function parseBound(value) {
+  if (value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(100, number)) : null;
+}
+
+/**
+ * Min/max score editor
+ */
+function ScoreEditor({ filters, onApply }) {
+  const [min, setMin] = useState(filters.scoreMin ?? '');
+  const [max, setMax] = useState(filters.scoreMax ?? '');
+  const scoreMin = parseBound(min);
+  const scoreMax = parseBound(max);
+  const invalid = scoreMin != null && scoreMax != null && scoreMin > scoreMax;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!invalid) onApply({ scoreMin, scoreMax });
+  };
+
+  return (
+    <form className="filter-form" onSubmit={handleSubmit}>
+      <div className="filter-row">
+        <label>
+          Min
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={min}
+            onChange={(e) => setMin(e.target.value)}
+            autoFocus
+          />
+        </label>
+        <label>
+          Max
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={max}
+            onChange={(e) => setMax(e.target.value)}
+          />
+        </label>
+      </div>
+      {invalid && <p className="filter-error">Min must not be greater than max</p>}
+      <button type="submit" className="filter-apply" disabled={invalid}>Apply</button>
+    </form>
+  );
+}
+
+/**
+ * lastMessageAt editor with presets and a custom range
+ */
+function DateEditor({ filters, onApply }) {
+  const [from, setFrom] = useState(filters.dateFrom ?? '');
+  const [to, setTo] = useState(filters.dateTo ?? '');
+  const invalid = from !== '' && to !== '' && from > to;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!invalid) {
+      onApply({ datePreset: null, dateFrom: from || null, dateTo: to || null });
+    }
+  };
+
+  return (
+    <form className="filter-form" onSubmit={handleSubmit}>
+      <div className="filter-presets">
+        {DATE_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            type="button"
+            className={`filter-preset${filters.datePreset === preset.id ? ' active' : ''}`}
+            onClick={() => onApply({ datePreset: preset.id, dateFrom: null, dateTo: null })}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <div className="filter-row">
+        <label>
+          From
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+      </div>
+      {invalid && <p className="filter-error">Start date must be before end date</p>}
+      <button type="submit" className="filter-apply" disabled={invalid}>Apply</button>
+    </form>
+  );
+}
+
+/**
+ * Multi-select of addedBy agents
+ */
+function AgentEditor({ filters, onApply }) {
+  const [selected, setSelected] = useState(filters.agents);
+
+  const toggleAgent = (agent) => {
+    setSelected(selected.includes(agent)
+      ? selected.filter(a => a !== agent)
+      : [...selected, agent]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply({ agents: selected });
+  };
+
+  return (
+    <form className="filter-form" onSubmit={handleSubmit}>
+      <div className="filter-options">
+        {defaultDataSource.dictionaries.agents.map(agent => (
+          <label key={agent} className="filter-option">
+            <input
+              type="checkbox"
+              checked={selected.includes(agent)}
+              onChange={() => toggleAgent(agent)}
+            />
+            {agent}
+          </label>
+        ))}
+      </div>
+      <button type="submit" className="filter-apply">Apply</button>
+    </form>
+  );
+}
@@ -0,0 +1,228 @@
+// src/components/ImportDialog.jsx
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  IMPORT_FIELDS,
+  parseCsv,
+  guessColumnMapping,
+  importCustomers,
+  createRejectedReport
+} from '../utils/importCustomers';
+import { downloadBlob } from '../utils/exportCustomers';
+import { defaultDataSource } from '../utils/dataSource';
+import LoadingScreen from './LoadingScreen';
+import '../styles/ImportDialog.css';
+
+// Rows of the file shown while mapping columns, and rejected rows listed in the report
+const PREVIEW_ROWS = 3;
+const REPORT_ROWS = 50;
+
+const PHASE_MESSAGES = {
+  checking: 'Validating rows and checking for duplicates...',
+  saving: 'Saving customers...'
+};
+
+/**
+ * CSV import flow: choose a file, map its columns, import, review rejected rows
+ * @param {Function} props.onClose - Close the dialog
+ * @param {Function} props.onImported - Called after customers were saved
+ */
+export default function ImportDialog({ onClose, onImported }) {
+  const [file, setFile] = useState(null); // { name, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [defaultAgent, setDefaultAgent] = useState(defaultDataSource.dictionaries.agents[0]);
+  const [progress, setProgress] = useState(null); // { phase, current, total }
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const missingFields = IMPORT_FIELDS.filter(field => field.required && mapping[field.id] == null);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    const [header, ...rows] = parseCsv(await selected.text());
+    if (!header || rows.length === 0) {
+      setError('The file has no data rows');
+      return;
+    }
+
+    const headers = header.cells;
+
+    setError(null);
+    setFile({ name: selected.name, headers, rows });
+    setMapping(guessColumnMapping(headers));
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping({ ...mapping, [field]: value === '' ? null : Number(value) });
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setProgress({ phase: 'checking', current: 0, total: file.rows.length });
+
+    try {
+      const imported = await importCustomers({
+        rows: file.rows,
+        mapping,
+        defaults: { addedBy: defaultAgent },
+        onProgress: (phase, current, total) => setProgress({ phase, current, total })
+      });
+      setResult(imported);
+      if (imported.imported > 0) onImported();
+    } catch (importError) {
+      console.error('Error importing customers:', importError);
+      setError('Import failed. No further rows were saved.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const downloadReport = () => {
+    downloadBlob(createRejectedReport(file.headers, result.rejected), 'rejected-customers.csv');
+  };
+
+  if (progress) {
+    return createPortal(
+      <LoadingScreen
+        overlay
+        progress={progress.current}
+        total={progress.total}
+        message={PHASE_MESSAGES[progress.phase]}
+      />,
+      document.body
+    );
+  }
+
+  return createPortal(
+    <div className="import-overlay">
+      <div className="import-dialog" role="dialog" aria-modal="true" aria-labelledby="import-title">
+        <div className="import-header">
+          <h2 id="import-title">Import customers</h2>
+          <button className="import-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <p className="import-error" role="alert">{error}</p>}
+
+        {/* STEP 1: choose a file */}
+        {!file && (
+          <label className="import-file">
+            Choose a CSV file with a header row
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+          </label>
+        )}
+
+        {/* STEP 2: map columns */}
+        {file && !result && (
+          <form className="import-mapping" onSubmit={handleImport}>
+            <p className="import-summary">
+              {file.name}: {file.rows.length.toLocaleString()} rows
+            </p>
+
+            {IMPORT_FIELDS.map(field => (
+              <label key={field.id} className="import-field">
+                <span>{field.label}{field.required && ' *'}</span>
+                <select
+                  value={mapping[field.id] ?? ''}
+                  onChange={(e) => handleMappingChange(field.id, e.target.value)}
+                >
+                  <option value="">{field.required ? 'Choose a column...' : 'Not imported'}</option>
+                  {file.headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+
+            <label className="import-field">
+              <span>Agent for rows without one</span>
+              <select value={defaultAgent} onChange={(e) => setDefaultAgent(e.target.value)}>
+                {defaultDataSource.dictionaries.agents.map(agent => (
+                  <option key={agent} value={agent}>{agent}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    {IMPORT_FIELDS.map(field => <th key={field.id}>{field.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {file.rows.slice(0, PREVIEW_ROWS).map(({ line, cells }) => (
+                    <tr key={line}>
+                      {IMPORT_FIELDS.map(field => (
+                        <td key={field.id}>{mapping[field.id] == null ? '' : cells[mapping[field.id]]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="import-actions">
+              <button type="button" className="import-button" onClick={() => setFile(null)}>
+                Choose another file
+              </button>
+              <button type="submit" className="import-button primary" disabled={missingFields.length > 0}>
+                Import {file.rows.length.toLocaleString()} rows
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* STEP 3: report */}
+        {result && (
+          <div className="import-report">
+            <p className="import-summary">
+              Imported {result.imported.toLocaleString()} customers,
+              rejected {result.rejected.length.toLocaleString()} rows.
+            </p>
+
+            {result.rejected.length > 0 && (
+              <>
+                <div className="import-preview">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Line</th>
+                        <th>Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.rejected.slice(0, REPORT_ROWS).map(row => (
+                        <tr key={row.line}>
+                          <td>{row.line}</td>
+                          <td>{row.reason}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {result.rejected.length > REPORT_ROWS && (
+                  <p className="import-note">
+                    Showing the first {REPORT_ROWS} rejected rows; download the report for all of them.
+                  </p>
+                )}
+              </>
+            )}
+
+            <div className="import-actions">
+              {result.rejected.length > 0 && (
+                <button className="import-button" onClick={downloadReport}>
+                  Download rejected rows
+                </button>
+              )}
+              <button className="import-button primary" onClick={onClose}>Done</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,100 @@
+// src/components/KeyboardHelp.jsx
+
+import React, { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import '../styles/KeyboardHelp.css';
+
+// Shortcuts by where they apply: [keys, description]
+const SHORTCUT_GROUPS = [
+  {
+    title: 'Anywhere',
+    shortcuts: [
+      [['/'], 'Focus the search'],
+      [['?'], 'Show this help'],
+      [['Esc'], 'Close a dialog or the customer page']
+    ]
+  },
+  {
+    title: 'Table',
+    shortcuts: [
+      [['←', '→', '↑', '↓'], 'Move between cells'],
+      [['Page Up', 'Page Down'], 'Move one screen of rows'],
+      [['Home', 'End'], 'First or last cell of the row'],
+      [['Ctrl', 'Home'], 'First row'],
+      [['Ctrl', 'End'], 'Last row'],
+      [['Enter'], 'Open the customer, or sort by the column header'],
+      [['Space'], 'Select the row, or sort by the column header'],
+      [['Shift', 'Space'], 'Select the rows since the last selected one']
+    ]
+  },
+  {
+    title: 'Customer page',
+    shortcuts: [
+      [['←', '→'], 'Previous or next customer']
+    ]
+  }
+];
+
+/**
+ * Keyboard shortcut help, opened with "?"
+ * Focus returns to where it was when the dialog closes.
+ * @param {Function} props.onClose - Close the dialog
+ */
+export default function KeyboardHelp({ onClose }) {
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    closeRef.current.focus();
+    return () => previous?.focus?.({ preventScroll: true });
+  }, []);
+
+  /**
+   * Close on Escape or "?"
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return createPortal(
+    <div className="keyboard-help-overlay" onClick={onClose}>
+      <div
+        className="keyboard-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="keyboard-help-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="keyboard-help-header">
+          <h2 id="keyboard-help-title">Keyboard shortcuts</h2>
+          <button className="keyboard-help-close" ref={closeRef} onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {SHORTCUT_GROUPS.map(group => (
+          <section key={group.title} className="keyboard-help-group">
+            <h3>{group.title}</h3>
+            <dl>
+              {group.shortcuts.map(([keys, description]) => (
+                <div key={description} className="keyboard-help-row">
+                  <dt>
+                    {keys.map(key => <kbd key={key}>{key}</kbd>)}
+                  </dt>
+                  <dd>{description}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -1,17 +1,68 @@
 // src/components/LoadingScreen.jsx
 
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import '../styles/LoadingScreen.css';
 
+// Throughput is shown once it was measured over this long
+const MIN_RATE_MS = 1000;
+
+/**
+ * Format a duration for the remaining time
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes} min ${Math.round(seconds % 60)} s`;
+}
+
 /**
  * Loading screen component shown during initial data generation
- * Displays progress bar and current record count
+ * Displays progress bar, current record count, throughput and time left
+ * Also used as an overlay for long running jobs such as exports
+ * @param {number} props.progress - Records done
+ * @param {number} props.total - Records in total
+ * @param {string} props.message - Text above the progress bar
+ * @param {boolean} props.overlay - Cover the page instead of replacing it
+ * @param {Function} props.onCancel - Shows a Cancel button when given
+ * @param {string} props.error - Shown below the progress when the job failed
+ * @param {Function} props.onRetry - Shows a Try again button with the error
  */
-export default function LoadingScreen({ progress, total }) {
-  const percentage = Math.round((progress / total) * 100);
+export default function LoadingScreen({
+  progress,
+  total,
+  message = 'Initializing customer database...',
+  overlay = false,
+  onCancel,
+  error,
+  onRetry
+}) {
+  const percentage = total > 0 ? Math.round((progress / total) * 100) : 0;
+  const [rate, setRate] = useState(null); // Records per second
+  const start = useRef(null); // { time, progress } of the first update
+
+  /**
+   * Measure throughput from the first update, so records already written
+   * before (e.g. when seeding resumes) do not count
+   */
+  useEffect(() => {
+    const now = performance.now();
+
+    if (!start.current || progress < start.current.progress) {
+      if (progress > 0) start.current = { time: now, progress };
+      setRate(null);
+      return;
+    }
+    if (now - start.current.time >= MIN_RATE_MS) {
+      setRate((progress - start.current.progress) / ((now - start.current.time) / 1000));
+    }
+  }, [progress]);
   
   return (
-    <div className="loading-screen">
+    <div
+      className={`loading-screen${overlay ? ' overlay' : ''}`}
+      role={overlay ? 'dialog' : undefined}
+      aria-modal={overlay || undefined}
+    >
       <div className="loading-content">
         {/* DoubleTick Logo */}
         <div className="logo">
@@ -36,7 +87,7 @@ export default function LoadingScreen({ progress, total }) {
         </div>
         
         {/* Loading text */}
-        <p className="loading-text">Initializing customer database...</p>
+        <p className="loading-text">{message}</p>
         
         {/* Progress bar */}
         <div className="progress-bar">
@@ -54,6 +105,22 @@ export default function LoadingScreen({ progress, total }) {
         <p className="progress-text">
           {progress.toLocaleString()} / {total.toLocaleString()} records ({percentage}%)
         </p>
+        {rate > 0 && progress < total && (
+          <p className="progress-rate">
+            {Math.round(rate).toLocaleString()} records/s · about {formatDuration((total - progress) / rate)} left
+          </p>
+        )}
+
+        {error && (
+          <p className="loading-error" role="alert">{error}</p>
+        )}
+        {onRetry && (
+          <button className="loading-cancel" onClick={onRetry}>Try again</button>
+        )}
+
+        {onCancel && (
+          <button className="loading-cancel" onClick={onCancel}>Cancel</button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,157 @@
+// src/components/SearchBox.jsx
+
+import React, { useState, useEffect, useRef, useImperativeHandle } from 'react';
+import { compileQuery, getQuerySuggestions } from '../utils/queryLanguage';
+import { defaultDataSource } from '../utils/dataSource';
+import searchIcon from '../assets/test_Search-3.svg';
+import '../styles/SearchBox.css';
+
+// Errors show once typing pauses, not for every half-typed clause
+const ERROR_DELAY = 600;
+
+/**
+ * Search input with the query language (see queryLanguage.js)
+ * Suggests field names and agents while typing and explains syntax errors.
+ * Only text without errors is passed on, so a half-typed clause never
+ * replaces the current results.
+ * @param {string} props.value - Search currently applied to the table
+ * @param {Function} props.onSearch - Called with the text whenever it is a valid query
+ * @param {Object} props.ref - Receives { focus } to focus the input from a shortcut
+ */
+export default function SearchBox({ value, onSearch, ref }) {
+  const [error, setError] = useState(null);
+  const [suggestions, setSuggestions] = useState(null);
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const errorTimeout = useRef(null);
+  const lastSearch = useRef(value); // Last text passed to onSearch
+  const agents = defaultDataSource.dictionaries.agents;
+
+  useImperativeHandle(ref, () => ({
+    focus: () => {
+      inputRef.current.focus();
+      inputRef.current.select();
+    }
+  }), []);
+
+  /**
+   * Show a search set from outside (history navigation, saved views)
+   */
+  useEffect(() => {
+    if (value === lastSearch.current) return;
+    lastSearch.current = value;
+    inputRef.current.value = value;
+    clearTimeout(errorTimeout.current);
+    setError(null);
+    setSuggestions(null);
+  }, [value]);
+
+  useEffect(() => () => clearTimeout(errorTimeout.current), []);
+
+  /**
+   * Check the text, refresh suggestions and pass it on when valid
+   */
+  const update = (text, caret) => {
+    const { errors } = compileQuery(text, { agents });
+
+    setSuggestions(getQuerySuggestions(text, caret, { agents }));
+    setActive(0);
+
+    clearTimeout(errorTimeout.current);
+    if (errors.length > 0) {
+      errorTimeout.current = setTimeout(() => setError(errors[0].message), ERROR_DELAY);
+      return;
+    }
+    setError(null);
+    lastSearch.current = text;
+    onSearch(text);
+  };
+
+  /**
+   * Replace the token being typed with a suggestion
+   */
+  const accept = (item) => {
+    const input = inputRef.current;
+    const text = input.value.slice(0, suggestions.start) + item.value + input.value.slice(suggestions.end);
+    const caret = suggestions.start + item.value.length;
+
+    input.value = text;
+    input.focus();
+    input.setSelectionRange(caret, caret);
+    update(text, caret);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActive((active + 1) % suggestions.items.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActive((active - 1 + suggestions.items.length) % suggestions.items.length);
+        break;
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        accept(suggestions.items[active]);
+        break;
+      case 'Escape':
+        setSuggestions(null);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="search-box">
+      <img src={searchIcon} alt="Search" className="search-icon" />
+      <input
+        type="text"
+        placeholder="Search Customers"
+        defaultValue={value}
+        ref={inputRef}
+        onChange={(e) => update(e.target.value, e.target.selectionStart)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setSuggestions(null)}
+        className={`search-input ${error ? 'invalid' : ''}`}
+        aria-label="Search customers"
+        aria-keyshortcuts="/"
+        title='Search text, or filter with score:>80 agent:"Agent Smith" last:<30d domain:gmail.com -name:john'
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={!!suggestions}
+        aria-controls="search-suggestions"
+        aria-activedescendant={suggestions ? `search-suggestion-${active}` : undefined}
+        aria-invalid={!!error}
+        aria-describedby={error ? 'search-error' : undefined}
+      />
+
+      {suggestions && (
+        <ul className="search-suggestions" id="search-suggestions" role="listbox">
+          {suggestions.items.map((item, index) => (
+            <li
+              key={item.value}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={`search-suggestion ${index === active ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => accept(item)}
+            >
+              <span className="search-suggestion-label">{item.label}</span>
+              <span className="search-suggestion-description">{item.description}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <div className="search-error" id="search-error" role="alert">{error}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+// src/components/ViewTabs.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { getCustomerIds, getSavedViews, saveView, deleteView } from '../utils/customerApi';
+import { createView, duplicateView, viewMatches } from '../utils/savedViews';
+import '../styles/ViewTabs.css';
+
+/**
+ * Saved view tabs next to the "All Customers" title
+ * Each tab shows the live row count of its search and filters; the tab
+ * matching the current table state is highlighted
+ * @param {Object} props.current - { search, sort, filters, columns }
+ * @param {Function} props.onApply - Called with a view to show it in the table
+ * @param {number} props.dataVersion - Changes whenever customers were edited, to refresh counts
+ */
+export default function ViewTabs({ current, onApply, dataVersion }) {
+  const [views, setViews] = useState([]);
+  const [counts, setCounts] = useState({}); // view id -> matching rows
+  const [menuFor, setMenuFor] = useState(null); // id of the view whose menu is open
+  const menuRef = useRef(null);
+
+  /**
+   * Load saved views
+   */
+  useEffect(() => {
+    getSavedViews()
+      .then(setViews)
+      .catch(error => console.error('Error loading saved views:', error));
+  }, []);
+
+  /**
+   * Count each view's rows, one query at a time
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+
+    (async () => {
+      for (const view of views) {
+        const { total } = await getCustomerIds({
+          limit: 0,
+          search: view.search,
+          filters: view.filters,
+          signal: controller.signal
+        });
+        setCounts(previous => ({ ...previous, [view.id]: total }));
+      }
+    })().catch(error => {
+      if (error.name !== 'AbortError') console.error('Error counting saved views:', error);
+    });
+
+    return () => controller.abort();
+  }, [views, dataVersion]);
+
+  /**
+   * Close the tab menu when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setMenuFor(null);
+      }
+    };
+
+    if (menuFor !== null) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [menuFor]);
+
+  /**
+   * Wrap a view action so failures are reported instead of lost
+   */
+  const guard = (action) => (...args) => action(...args).catch(error => {
+    console.error('Error updating saved views:', error);
+    window.alert('Could not update saved views. Please try again.');
+  });
+
+  const askName = (message, name) => {
+    const answer = window.prompt(message, name);
+    return answer && answer.trim() ? answer.trim() : null;
+  };
+
+  const handleSaveCurrent = guard(async () => {
+    const name = askName('Name this view', `View ${views.length + 1}`);
+    if (!name) return;
+
+    const view = await saveView(createView(name, current));
+    setViews([...views, view]);
+  });
+
+  const handleRename = guard(async (view) => {
+    setMenuFor(null);
+    const name = askName('Rename view', view.name);
+    if (!name || name === view.name) return;
+
+    const renamed = await saveView({ ...view, name });
+    setViews(views.map(other => (other.id === view.id ? renamed : other)));
+  });
+
+  const handleDuplicate = guard(async (view) => {
+    setMenuFor(null);
+    const copy = await saveView(duplicateView(view, views));
+    setViews([...views, copy]);
+  });
+
+  const handleDelete = guard(async (view) => {
+    setMenuFor(null);
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+
+    await deleteView(view.id);
+    setViews(views.filter(other => other.id !== view.id));
+  });
+
+  const activeView = views.find(view => viewMatches(view, current));
+
+  return (
+    <div className="view-tabs" role="tablist" aria-label="Saved views">
+      {views.map(view => (
+        <div
+          key={view.id}
+          className={`view-tab${view === activeView ? ' active' : ''}`}
+          ref={menuFor === view.id ? menuRef : undefined}
+        >
+          <button
+            className="view-tab-button"
+            role="tab"
+            aria-selected={view === activeView}
+            onClick={() => onApply(view)}
+          >
+            {view.name}
+            <span className="count">{counts[view.id]?.toLocaleString() ?? '…'}</span>
+          </button>
+          <button
+            className="view-tab-menu-button"
+            onClick={() => setMenuFor(menuFor === view.id ? null : view.id)}
+            aria-label={`Options for ${view.name}`}
+            aria-expanded={menuFor === view.id}
+          >
+            ⋯
+          </button>
+
+          {menuFor === view.id && (
+            <div className="filter-menu view-tab-menu" role="menu">
+              {[
+                { label: 'Rename', run: handleRename },
+                { label: 'Duplicate', run: handleDuplicate },
+                { label: 'Delete', run: handleDelete, className: 'danger' }
+              ].map(action => (
+                <div
+                  key={action.label}
+                  className={`filter-item ${action.className || ''}`}
+                  role="menuitem"
+                  tabIndex={0}
+                  onClick={() => action.run(view)}
+                  onKeyDown={(e) => e.key === 'Enter' && action.run(view)}
+                >
+                  {action.label}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <button className="view-tab-save" onClick={handleSaveCurrent} disabled={Boolean(activeView)}>
+        + Save view
+      </button>
+    </div>
+  );
+}
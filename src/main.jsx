@@ -4,6 +4,8 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
+import { runPageBenchmark } from './utils/pageBenchmark';
+import { runSearchBenchmark } from './utils/searchBenchmark';
 
 /**
  * Application entry point
@@ -13,4 +15,26 @@ createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>
-);
\ No newline at end of file
+);
+
+// Latency benchmarks for the console during development
+if (import.meta.env.DEV) {
+  window.runPageBenchmark = async (options) => {
+    const results = await runPageBenchmark(options);
+    console.table(results);
+    return results;
+  };
+
+  window.runSearchBenchmark = async (options) => {
+    // Filling 1M customers takes minutes; report every 5%
+    let reported = 0;
+    const results = await runSearchBenchmark(options, (done, total) => {
+      if (done === total || done - reported >= total / 20) {
+        reported = done;
+        console.info(`Filling search benchmark: ${done.toLocaleString()} / ${total.toLocaleString()}`);
+      }
+    });
+    console.table(results);
+    return results;
+  };
+}
\ No newline at end of file
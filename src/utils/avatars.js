@@ -0,0 +1,203 @@
+// src/utils/avatars.js
+
+/**
+ * Customer avatars, drawn locally
+ * A customer without an uploaded picture gets an SVG with their initials on
+ * a colour picked from their id, so the colour stays the same when the name
+ * is edited. Nothing is loaded from third-party servers. Uploaded pictures
+ * are blobs in the `avatars` store; `customer.avatar` holds the key of the
+ * current one, or null. Their object URLs are revoked once they are off
+ * screen and either replaced by a newer picture or among the least recently
+ * shown.
+ */
+
+import { getAvatar } from './customerApi';
+
+// White text is readable on all of them
+export const AVATAR_COLORS = [
+  '#dc2626', '#ea580c', '#b45309', '#4d7c0f', '#059669', '#0e7490',
+  '#2563eb', '#4f46e5', '#7c3aed', '#a21caf', '#db2777', '#475569'
+];
+
+// Rendered initials avatars kept as data URLs, oldest dropped first
+const MAX_CACHED_AVATARS = 2000;
+const initialsCache = new Map();
+
+// Object URLs of uploaded avatars by key, and their pending loads
+const uploadedUrls = new Map();
+const uploadedRequests = new Map();
+
+// Uploaded avatars on screen: key -> number of Avatar components showing it
+const uploadedUsers = new Map();
+
+// Loaded uploads no Avatar shows, oldest first; past the limit their URLs are revoked
+const MAX_IDLE_UPLOADS = 100;
+const idleUploads = new Set();
+
+// Newest upload loaded per customer id; older ones are revoked once off screen
+const latestUploads = new Map();
+
+/**
+ * Initials of a name: first letters of the first and last word
+ * @param {string} name - Customer name
+ * @returns {string} One or two uppercase letters, '?' when the name has none
+ */
+export function getInitials(name) {
+  const words = (name || '').match(/\p{L}[\p{L}'-]*/gu) || [];
+  if (words.length === 0) return '?';
+
+  const first = words[0][0];
+  const last = words.length > 1 ? words[words.length - 1][0] : '';
+  return (first + last).toUpperCase();
+}
+
+/**
+ * Background colour of a customer's initials avatar
+ * Neighbouring ids get different colours
+ * @param {number} id - Customer ID
+ * @returns {string} CSS colour
+ */
+export function getAvatarColor(id) {
+  return AVATAR_COLORS[(Math.imul(id, 2654435761) >>> 0) % AVATAR_COLORS.length];
+}
+
+/**
+ * Draw an initials avatar
+ * @param {number} id - Customer ID
+ * @param {string} name - Customer name
+ * @returns {string} SVG markup, square; round it with CSS
+ */
+export function renderInitialsAvatar(id, name) {
+  const initials = getInitials(name).replace(/[<>&'"]/g, '');
+
+  return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">' +
+    `<rect width="64" height="64" fill="${getAvatarColor(id)}"/>` +
+    '<text x="32" y="32" dy="0.35em" text-anchor="middle" fill="#ffffff" ' +
+    `font-family="system-ui, -apple-system, 'Segoe UI', sans-serif" font-size="26" font-weight="600">${initials}</text>` +
+    '</svg>';
+}
+
+/**
+ * Initials avatar as an image URL
+ * @param {number} id - Customer ID
+ * @param {string} name - Customer name
+ * @returns {string} data: URL
+ */
+export function getInitialsAvatarUrl(id, name) {
+  const key = `${id}|${getInitials(name)}`;
+  let url = initialsCache.get(key);
+
+  if (url) {
+    // Move to the end so frequently shown avatars stay cached
+    initialsCache.delete(key);
+  } else {
+    url = `data:image/svg+xml,${encodeURIComponent(renderInitialsAvatar(id, name))}`;
+    if (initialsCache.size >= MAX_CACHED_AVATARS) {
+      initialsCache.delete(initialsCache.keys().next().value);
+    }
+  }
+  initialsCache.set(key, url);
+  return url;
+}
+
+/**
+ * Customer id and upload time of an avatar key (`${id}-${time in base 36}`)
+ */
+function parseUploadKey(key) {
+  const dash = key.lastIndexOf('-');
+  return { customerId: key.slice(0, dash), time: parseInt(key.slice(dash + 1), 36) };
+}
+
+/**
+ * Free the object URL of an uploaded avatar
+ */
+function revokeUploadedAvatar(key) {
+  URL.revokeObjectURL(uploadedUrls.get(key));
+  uploadedUrls.delete(key);
+  uploadedRequests.delete(key);
+  idleUploads.delete(key);
+
+  const { customerId } = parseUploadKey(key);
+  if (latestUploads.get(customerId) === key) latestUploads.delete(customerId);
+}
+
+/**
+ * Keep an uploaded avatar nobody shows for a while, or free it right away
+ * when the customer has a newer picture
+ */
+function releaseIdleUpload(key) {
+  if (!uploadedUrls.has(key) || uploadedUsers.has(key)) return;
+
+  if (latestUploads.get(parseUploadKey(key).customerId) !== key) {
+    revokeUploadedAvatar(key);
+    return;
+  }
+
+  idleUploads.delete(key);
+  idleUploads.add(key);
+  if (idleUploads.size > MAX_IDLE_UPLOADS) {
+    revokeUploadedAvatar(idleUploads.values().next().value);
+  }
+}
+
+/**
+ * Record that an uploaded avatar is on screen, so its URL stays valid
+ * @param {string} key - Value of customer.avatar
+ * @returns {Function} Call when it is no longer shown
+ */
+export function retainUploadedAvatar(key) {
+  uploadedUsers.set(key, (uploadedUsers.get(key) || 0) + 1);
+  idleUploads.delete(key);
+
+  return () => {
+    const users = uploadedUsers.get(key) - 1;
+    if (users > 0) {
+      uploadedUsers.set(key, users);
+      return;
+    }
+    uploadedUsers.delete(key);
+    releaseIdleUpload(key);
+  };
+}
+
+/**
+ * Object URL of an uploaded avatar that was already loaded
+ * @param {string} key - Value of customer.avatar
+ * @returns {string|undefined} URL, undefined when not loaded yet
+ */
+export function peekUploadedAvatar(key) {
+  return uploadedUrls.get(key);
+}
+
+/**
+ * Load an uploaded avatar from the database
+ * Each key is loaded once; a new upload gets a new key
+ * @param {string} key - Value of customer.avatar
+ * @returns {Promise<string|null>} Object URL, null when the picture is missing
+ */
+export function loadUploadedAvatar(key) {
+  if (!uploadedRequests.has(key)) {
+    uploadedRequests.set(key, getAvatar(key)
+      .then(blob => {
+        if (!blob) return null;
+        const url = URL.createObjectURL(blob);
+        uploadedUrls.set(key, url);
+
+        // A newer picture replaces the customer's previous one
+        const { customerId, time } = parseUploadKey(key);
+        const previous = latestUploads.get(customerId);
+        if (!previous || parseUploadKey(previous).time < time) {
+          latestUploads.set(customerId, key);
+          if (previous) releaseIdleUpload(previous);
+        }
+        releaseIdleUpload(key);
+        return url;
+      })
+      .catch(error => {
+        console.error('Error loading avatar:', error);
+        uploadedRequests.delete(key);
+        return null;
+      }));
+  }
+  return uploadedRequests.get(key);
+}
@@ -0,0 +1,83 @@
+// src/utils/columns.js
+
+/**
+ * Table column model
+ * The table renders the visible column ids in order; saved views and the
+ * user's preferences store them. Pinned columns always come first, cannot
+ * be hidden or moved, and stay in view when scrolling horizontally.
+ */
+
+/**
+ * Columns of the customer table
+ * sortField is the field of the column's sort key, null when not sortable;
+ * className applies to the header and cells, cellClassName to cells only
+ */
+export const COLUMNS = [
+  { id: 'name', label: 'Customer', sortField: 'name', className: 'customer-col', pinned: true },
+  { id: 'phone', label: 'Phone', sortField: 'phone' },
+  { id: 'email', label: 'Email', sortField: 'email' },
+  { id: 'score', label: 'Score', sortField: 'score', className: 'score-col' },
+  { id: 'lastMessageAt', label: 'Last message sent at', sortField: 'lastMessageAt' },
+  { id: 'addedBy', label: 'Added by', sortField: 'addedBy', cellClassName: 'added-by' }
+];
+
+export const DEFAULT_COLUMNS = COLUMNS.map(column => column.id);
+
+export const MIN_COLUMN_WIDTH = 80;
+
+const PINNED_COLUMNS = COLUMNS.filter(column => column.pinned).map(column => column.id);
+
+/**
+ * Resolve column ids to column definitions, skipping unknown ids
+ * @param {Array<string>} ids - Visible column ids in order
+ * @returns {Array<Object>} Column definitions
+ */
+export function resolveColumns(ids) {
+  return ids
+    .map(id => COLUMNS.find(column => column.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Clean up a list of column ids: known ids only, no repeats, pinned columns first
+ * @param {Array<string>} ids - Column ids
+ * @returns {Array<string>} Column ids
+ */
+export function normalizeColumns(ids) {
+  const known = new Set(DEFAULT_COLUMNS);
+  const rest = ids.filter((id, index) => known.has(id) && !PINNED_COLUMNS.includes(id) && ids.indexOf(id) === index);
+  return [...PINNED_COLUMNS, ...rest];
+}
+
+/**
+ * Show or hide a column
+ * A shown column goes back to its default position among the visible ones
+ * @param {Array<string>} ids - Visible column ids
+ * @param {string} id - Column to toggle
+ * @returns {Array<string>} Visible column ids
+ */
+export function toggleColumn(ids, id) {
+  if (PINNED_COLUMNS.includes(id)) return ids;
+  if (ids.includes(id)) return ids.filter(other => other !== id);
+
+  const position = DEFAULT_COLUMNS.indexOf(id);
+  const next = ids.findIndex(other => DEFAULT_COLUMNS.indexOf(other) > position);
+  return next === -1 ? [...ids, id] : [...ids.slice(0, next), id, ...ids.slice(next)];
+}
+
+/**
+ * Move a column to the position of another one
+ * @param {Array<string>} ids - Visible column ids
+ * @param {string} id - Column being moved
+ * @param {string} targetId - Column whose place it takes
+ * @returns {Array<string>} Visible column ids
+ */
+export function moveColumn(ids, id, targetId) {
+  if (id === targetId || PINNED_COLUMNS.includes(id) || PINNED_COLUMNS.includes(targetId)) return ids;
+
+  const without = ids.filter(other => other !== id);
+  const target = without.indexOf(targetId);
+  // Moving right lands after the target, moving left before it
+  const index = ids.indexOf(id) < ids.indexOf(targetId) ? target + 1 : target;
+  return [...without.slice(0, index), id, ...without.slice(index)];
+}
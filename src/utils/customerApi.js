@@ -0,0 +1,311 @@
+// src/utils/customerApi.js
+
+/**
+ * Promise-based API for the customer database
+ * Every call is forwarded to workers/customerWorker.js, so generation,
+ * cursor scans and sorting never block the main thread. Signatures mirror
+ * utils/indexedDB.js; query calls also accept an AbortSignal to cancel
+ * stale requests (they then reject with an AbortError).
+ *
+ * Other tabs are told when a call changed customers, and their changes are
+ * passed on to onDataChange() listeners here (see utils/tabSync.js).
+ */
+
+import { postTabMessage, onTabMessage } from './tabSync';
+
+// Methods that write customers
+const DATA_CHANGING_METHODS = new Set([
+  'seedCustomers',
+  'resetDataset',
+  'clearDatabase',
+  'saveCustomerBatches',
+  'addCustomerBatches',
+  'createCustomer',
+  'updateCustomer',
+  'updateCustomers',
+  'deleteCustomer',
+  'deleteCustomers',
+  'setCustomerAvatar'
+]);
+
+let worker = null;
+let nextRequestId = 1;
+
+// Requests waiting for an answer by request id
+const pending = new Map();
+
+// Listeners for database events ('blocked', 'versionchange')
+const databaseListeners = new Set();
+
+// Listeners for customers changed by other tabs
+const dataChangeListeners = new Set();
+
+function createAbortError() {
+  return new DOMException('Query cancelled', 'AbortError');
+}
+
+/**
+ * Start the worker on first use
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/customerWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      const error = new Error(event.message || 'Customer worker failed');
+      pending.forEach(request => request.reject(error));
+      pending.clear();
+    };
+  }
+  return worker;
+}
+
+function handleMessage(event) {
+  const { id, type, result, error, progress } = event.data;
+
+  if (type === 'database') {
+    databaseListeners.forEach(listener => listener(event.data.event));
+    return;
+  }
+
+  const request = pending.get(id);
+  if (!request) return; // Cancelled meanwhile
+
+  if (type === 'progress') {
+    if (request.onProgress) request.onProgress(...progress);
+    return;
+  }
+
+  pending.delete(id);
+  if (type === 'result') {
+    request.resolve(result);
+  } else {
+    request.reject(Object.assign(new Error(error.message), { name: error.name }));
+  }
+}
+
+/**
+ * Call a worker method
+ * @param {string} method - Method name (see METHODS in the worker)
+ * @param {Array} args - Arguments, must be structured-cloneable
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise<*>} Method result
+ */
+function call(method, args, { signal, onProgress } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, method, args });
+
+    signal?.addEventListener('abort', () => {
+      if (!pending.has(id)) return;
+      pending.delete(id);
+      worker.postMessage({ id, method: 'cancel' });
+      reject(createAbortError());
+    }, { once: true });
+  });
+
+  if (DATA_CHANGING_METHODS.has(method)) {
+    // Failed and cancelled writes may have changed part of the rows too
+    promise.finally(() => postTabMessage({ type: 'data-change', method })).catch(() => {});
+  }
+  return promise;
+}
+
+/**
+ * Another tab wrote customers: drop the worker's query caches, then tell listeners
+ */
+onTabMessage('data-change', async (message) => {
+  // Without a worker nothing is cached yet
+  if (worker) {
+    await call('invalidateCaches', []);
+  }
+  dataChangeListeners.forEach(listener => listener(message));
+});
+
+/**
+ * Listen for database events
+ * 'blocked': an upgrade waits for other tabs to close the database
+ * 'versionchange': another tab upgraded the database; reload to continue
+ * @param {Function} listener - Called with the event name
+ * @returns {Function} Unsubscribe
+ */
+export function onDatabaseEvent(listener) {
+  databaseListeners.add(listener);
+  return () => databaseListeners.delete(listener);
+}
+
+/**
+ * Listen for customers changed by another tab
+ * Queries made from the listener already see the change.
+ * @param {Function} listener - Called with { method } of the write
+ * @returns {Function} Unsubscribe
+ */
+export function onDataChange(listener) {
+  dataChangeListeners.add(listener);
+  return () => dataChangeListeners.delete(listener);
+}
+
+/**
+ * Get customers with pagination, search, filters and sorting
+ * @param {Object} params - Same as indexedDB.js getCustomers, plus signal
+ * @returns {Promise<Object>} { data, total, hasMore }
+ */
+export function getCustomers({ signal, ...params } = {}) {
+  return call('getCustomers', [params], { signal });
+}
+
+/**
+ * Get only the ids of a query
+ * @param {Object} params - Same as getCustomers; limit defaults to all rows
+ * @returns {Promise<Object>} { ids, total }
+ */
+export function getCustomerIds({ signal, ...params } = {}) {
+  return call('getCustomerIds', [params], { signal });
+}
+
+/**
+ * Check if database has data
+ * @returns {Promise<boolean>} True if data exists
+ */
+export function hasData() {
+  return call('hasData', []);
+}
+
+/**
+ * Save customers in batches
+ * Generators cannot be sent to a worker, so batches are either passed as an
+ * array, or described as { batchSize } and generated inside the worker
+ * @param {Array<Array>|Object} batchSource - Batches of customers, or { batchSize }
+ * @param {number} totalRecords - Total number of records to save
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export function saveCustomerBatches(batchSource, totalRecords, onProgress) {
+  return call('saveCustomerBatches', [batchSource, totalRecords], { onProgress });
+}
+
+/**
+ * Seed the database, resuming after the last checkpoint
+ * @param {Object} options - { batchSize }
+ * @param {Function} onProgress - Progress callback (current, total)
+ * @param {AbortSignal} signal - Stops after the running batch; what was
+ *   written stays and the next call continues from there
+ * @returns {Promise<Object>} Dataset { size, seed, seededThrough }
+ */
+export function seedCustomers(options, onProgress, signal) {
+  return call('seedCustomers', [options], { signal, onProgress });
+}
+
+/*
+ * Dataset settings - see utils/indexedDB.js for parameters
+ */
+
+export function getDataset() {
+  return call('getDataset', []);
+}
+
+export function resetDataset(settings) {
+  return call('resetDataset', [settings]);
+}
+
+export function clearDatabase() {
+  return call('clearDatabase', []);
+}
+
+/*
+ * Lookups and writes - see utils/indexedDB.js for parameters
+ */
+
+export function getCustomersByIds(ids) {
+  return call('getCustomersByIds', [ids]);
+}
+
+export function getCustomerMessages(customerId) {
+  return call('getCustomerMessages', [customerId]);
+}
+
+export function getScoreHistory({ id, score }) {
+  return call('getScoreHistory', [{ id, score }]);
+}
+
+export function updateCustomers(ids, changes, onProgress) {
+  return call('updateCustomers', [ids, changes], { onProgress });
+}
+
+export function deleteCustomers(ids, onProgress) {
+  return call('deleteCustomers', [ids], { onProgress });
+}
+
+export function createCustomer(fields) {
+  return call('createCustomer', [fields]);
+}
+
+export function updateCustomer(id, changes) {
+  return call('updateCustomer', [id, changes]);
+}
+
+export function deleteCustomer(id) {
+  return call('deleteCustomer', [id]);
+}
+
+export function setCustomerAvatar(id, blob) {
+  return call('setCustomerAvatar', [id, blob]);
+}
+
+export function getAvatar(key) {
+  return call('getAvatar', [key]);
+}
+
+export function findDuplicateCustomers(customers) {
+  return call('findDuplicateCustomers', [customers]);
+}
+
+/**
+ * Add new customers in batches; ids are assigned in the worker
+ * @param {Array<Array>} batches - Batches of customers without ids
+ * @param {number} totalRecords - Total number of records to add
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export function addCustomerBatches(batches, totalRecords, onProgress) {
+  return call('addCustomerBatches', [batches, totalRecords], { onProgress });
+}
+
+/*
+ * Saved views
+ */
+
+export function getSavedViews() {
+  return call('getSavedViews', []);
+}
+
+export function saveView(view) {
+  return call('saveView', [view]);
+}
+
+export function deleteView(id) {
+  return call('deleteView', [id]);
+}
+
+/*
+ * Per-user preferences
+ */
+
+export function getPreferences(userId) {
+  return call('getPreferences', [userId]);
+}
+
+export function savePreferences(userId, changes) {
+  return call('savePreferences', [userId, changes]);
+}
+
+/*
+ * Benchmarks
+ */
+
+export function benchmarkSearch(options, onProgress) {
+  return call('benchmarkSearch', [options], { onProgress });
+}
@@ -0,0 +1,97 @@
+// src/utils/customerValidation.js
+
+/**
+ * Validation for customers entered by hand
+ * Used by the detail drawer before anything is written to IndexedDB
+ */
+
+// E.164: "+", country code and subscriber number, at most 15 digits
+const PHONE_PATTERN = /^\+[1-9]\d{1,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 100;
+
+// Uploaded pictures: common raster formats up to 2 MB (SVG could carry scripts)
+export const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Editable customer fields with empty values
+ */
+export const EMPTY_CUSTOMER_FORM = {
+  name: '',
+  phone: '',
+  email: '',
+  score: '',
+  addedBy: ''
+};
+
+/**
+ * Turn a customer record into form values
+ * @param {Object} customer - Customer record
+ * @returns {Object} Form values (all strings)
+ */
+export function toCustomerForm(customer) {
+  return {
+    name: customer.name,
+    phone: customer.phone,
+    email: customer.email,
+    score: String(customer.score),
+    addedBy: customer.addedBy
+  };
+}
+
+/**
+ * Validate and normalize form values
+ * Phones may be typed with spaces, dashes or parentheses; they are stored without them
+ * @param {Object} values - Form values
+ * @returns {Object} { customer, errors } - errors maps field to message, empty when valid
+ */
+export function validateCustomer(values) {
+  const customer = {
+    name: values.name.trim().replace(/\s+/g, ' '),
+    phone: values.phone.replace(/[\s\-().]/g, ''),
+    email: values.email.trim().toLowerCase(),
+    score: values.score === '' ? NaN : Number(values.score),
+    addedBy: values.addedBy
+  };
+  const errors = {};
+
+  if (!customer.name) {
+    errors.name = 'Name is required';
+  } else if (customer.name.length > MAX_NAME_LENGTH) {
+    errors.name = `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (!PHONE_PATTERN.test(customer.phone)) {
+    errors.phone = 'Phone must be in E.164 format, e.g. +14155550123';
+  }
+
+  if (!EMAIL_PATTERN.test(customer.email)) {
+    errors.email = 'Enter a valid email address';
+  }
+
+  if (!Number.isInteger(customer.score) || customer.score < 0 || customer.score > 100) {
+    errors.score = 'Score must be a whole number from 0 to 100';
+  }
+
+  if (!customer.addedBy) {
+    errors.addedBy = 'Choose an agent';
+  }
+
+  return { customer, errors };
+}
+
+/**
+ * Check a picture chosen for upload
+ * @param {File} file - Chosen file
+ * @returns {string|null} Error message, null when the file can be used
+ */
+export function validateAvatarFile(file) {
+  if (!AVATAR_TYPES.includes(file.type)) {
+    return 'Choose a PNG, JPEG, WebP or GIF image';
+  }
+  if (file.size > MAX_AVATAR_BYTES) {
+    return 'The picture must be at most 2 MB';
+  }
+  return null;
+}
@@ -0,0 +1,278 @@
+// src/utils/dataSource.js
+
+/**
+ * Seedable source of customer records
+ * A record is a pure function of its id, the seed and the dictionaries, so
+ * the same id gives the same customer whether it was stored in IndexedDB
+ * or generated on demand past the stored range.
+ *
+ * Layout of a generated record (relied on by sorting and virtualSearch.js):
+ *   name  = `${first} ${last}`
+ *   email = `${first}.${last}${id}@${domain}` (lowercase)
+ *   phone = `+${countryCode}${id padded to 10 digits}`
+ * where first = firstNames[id % F], last = lastNames[floor(id / F) % L]
+ * and domain = domains[id % D].
+ */
+
+import { DEFAULT_AGENTS, DEFAULT_LOCALE, DEFAULT_MESSAGES, LOCALES } from './dictionaries';
+import { compareValues } from './sortIndex';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_SPREAD = 365;
+const SCORE_RANGE = 100;
+
+// Generated conversations: 2-14 messages, up to 3 days apart
+const MIN_MESSAGES = 2;
+const MAX_MESSAGES = 14;
+const MAX_MESSAGE_GAP_MS = 3 * DAY_MS;
+const SCORE_HISTORY_MONTHS = 6;
+
+// Email keys encode up to 10 id digits in base 11 with '@' as the 11th digit,
+// because '@' sorts after '0'-'9' and ends the digits inside an email
+const EMAIL_KEY_WIDTH = 11;
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffled copy of a list (Fisher-Yates)
+ */
+function shuffle(list, random) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Encode the digits of an id so numeric order matches email order
+ */
+function emailDigitsKey(id) {
+  const digits = String(id);
+  let key = 0;
+  for (let i = 0; i < EMAIL_KEY_WIDTH; i++) {
+    let digit = 0;
+    if (i < digits.length) digit = digits.charCodeAt(i) - 48;
+    else if (i === digits.length) digit = 10;
+    key = key * 11 + digit;
+  }
+  return key;
+}
+
+/**
+ * Create a data source
+ * Seed 0 keeps the dictionaries in their given order; any other seed
+ * shuffles them and shifts scores and message dates reproducibly.
+ * @param {Object} options
+ * @param {number} options.seed - Seed for reproducible variation (default 0)
+ * @param {string} options.locale - Key of LOCALES (default 'en-US')
+ * @param {Object} options.dictionaries - Overrides for firstNames, lastNames,
+ *   domains, agents, countryCode and messages
+ * @param {number|string|Date} options.referenceDate - "Now" for lastMessageAt
+ * @returns {Object} Data source
+ */
+export function createDataSource({
+  seed = 0,
+  locale = DEFAULT_LOCALE,
+  dictionaries = {},
+  referenceDate = Date.now()
+} = {}) {
+  if (!LOCALES[locale]) {
+    throw new Error(`Unknown locale "${locale}"`);
+  }
+
+  const base = { agents: DEFAULT_AGENTS, messages: DEFAULT_MESSAGES, ...LOCALES[locale], ...dictionaries };
+  const random = seed ? createRandom(seed) : null;
+  const arrange = (list) => (random ? shuffle(list, random) : [...list]);
+
+  const firstNames = arrange(base.firstNames);
+  const lastNames = arrange(base.lastNames);
+  const domains = arrange(base.domains);
+  const agents = arrange(base.agents);
+  const countryCode = String(base.countryCode);
+  const scoreOffset = random ? Math.floor(random() * SCORE_RANGE) : 0;
+  const dayOffset = random ? Math.floor(random() * DAYS_SPREAD) : 0;
+  const reference = new Date(referenceDate).getTime();
+
+  const combination = (id) =>
+    id % firstNames.length + firstNames.length * (Math.floor(id / firstNames.length) % lastNames.length);
+
+  /**
+   * Rank every name combination by a string built from it
+   */
+  const rankCombinations = (toString) => {
+    const strings = [];
+    for (const last of lastNames) {
+      for (const first of firstNames) {
+        strings.push(toString(first, last));
+      }
+    }
+    const ranks = new Map([...new Set(strings)].sort(compareValues).map((value, rank) => [value, rank]));
+    return Uint32Array.from(strings, value => ranks.get(value));
+  };
+
+  let nameRanks = null;
+  let emailPrefixRanks = null;
+  let agentRanks = null;
+
+  /**
+   * Only the fields filters look at
+   * Much cheaper than a full record when scanning the whole virtual range
+   * @param {number} id - Customer ID
+   * @returns {Object} { score, addedBy, lastMessageAt } with lastMessageAt in epoch ms
+   */
+  const filterFields = (id) => ({
+    score: (id * 7 + scoreOffset) % SCORE_RANGE,
+    addedBy: agents[id % agents.length],
+    lastMessageAt: reference - ((id + dayOffset) % DAYS_SPREAD) * DAY_MS
+  });
+
+  return {
+    seed,
+    locale,
+    referenceDate: reference,
+    dictionaries: { firstNames, lastNames, domains, agents, countryCode },
+
+    /**
+     * Generate a single customer record
+     * @param {number} id - Customer ID (1-based)
+     * @returns {Object} Customer object with all required fields
+     */
+    generate(id) {
+      const firstName = firstNames[id % firstNames.length];
+      const lastName = lastNames[Math.floor(id / firstNames.length) % lastNames.length];
+      const { score, addedBy, lastMessageAt } = filterFields(id);
+
+      return {
+        id,
+        name: `${firstName} ${lastName}`,
+        phone: `+${countryCode}${String(id).padStart(10, '0')}`,
+        email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}${id}@${domains[id % domains.length]}`,
+        score,
+        lastMessageAt: new Date(lastMessageAt).toISOString(),
+        addedBy,
+        avatar: null // Initials, drawn by avatars.js
+      };
+    },
+
+    filterFields,
+
+    /**
+     * Generate the conversation with a customer, oldest message first
+     * The last message is sent at the customer's lastMessageAt and comes
+     * from a PRNG seeded with the id, so a customer's history never changes
+     * @param {number} id - Customer ID
+     * @returns {Array<Object>} Messages { id, customerId, direction, text, agent, sentAt }
+     *   where direction is 'inbound' (from the customer) or 'outbound'
+     */
+    messages(id) {
+      const next = createRandom(Math.imul(id, 0x9E3779B1) ^ seed);
+      const { addedBy, lastMessageAt } = filterFields(id);
+      const firstName = firstNames[id % firstNames.length];
+      const count = MIN_MESSAGES + Math.floor(next() * (MAX_MESSAGES - MIN_MESSAGES + 1));
+      const messages = [];
+      let direction = 'inbound';
+      let sentAt = lastMessageAt;
+
+      for (let index = count - 1; index >= 0; index--) {
+        const templates = base.messages[direction];
+        messages[index] = {
+          id: `${id}-${index}`,
+          customerId: id,
+          direction,
+          text: templates[Math.floor(next() * templates.length)]
+            .replace('{first}', firstName)
+            .replace('{agent}', addedBy),
+          agent: direction === 'outbound' ? addedBy : null,
+          sentAt: new Date(sentAt).toISOString()
+        };
+        sentAt -= Math.floor(next() * MAX_MESSAGE_GAP_MS);
+        if (next() < 0.7) direction = direction === 'inbound' ? 'outbound' : 'inbound';
+      }
+
+      return messages;
+    },
+
+    /**
+     * Generate a customer's score at the start of each of the last months
+     * A random walk seeded with the id that ends at the current score
+     * @param {number} id - Customer ID
+     * @param {number} score - Current score (edited customers keep their history)
+     * @returns {Array<Object>} { date, score } oldest first, the last one being now
+     */
+    scoreHistory(id, score) {
+      const next = createRandom(Math.imul(id, 0x85EBCA6B) ^ seed);
+      const points = [{ date: new Date(reference).toISOString(), score }];
+      let value = score;
+
+      for (let months = 1; months < SCORE_HISTORY_MONTHS; months++) {
+        const date = new Date(reference);
+        date.setMonth(date.getMonth() - months, 1);
+        value = Math.max(0, Math.min(SCORE_RANGE, value + Math.round((next() - 0.5) * 30)));
+        points.unshift({ date: date.toISOString(), score: value });
+      }
+
+      return points;
+    },
+
+    /**
+     * Numeric key whose order matches the order of the generated field value
+     * @param {number} id - Customer ID
+     * @param {string} field - Sortable field
+     * @returns {number} Sort key
+     */
+    sortKey(id, field) {
+      switch (field) {
+        case 'name':
+          nameRanks ??= rankCombinations((first, last) => `${first} ${last}`);
+          return nameRanks[combination(id)];
+        case 'email':
+          // Rank prefixes as if followed by '0' so a prefix that is the start
+          // of another one lands where its emails actually sort
+          emailPrefixRanks ??= rankCombinations(
+            (first, last) => `${first.toLowerCase()}.${last.toLowerCase()}0`
+          );
+          return emailPrefixRanks[combination(id)] * 11 ** EMAIL_KEY_WIDTH + emailDigitsKey(id);
+        case 'score':
+          return filterFields(id).score;
+        case 'lastMessageAt':
+          return -((id + dayOffset) % DAYS_SPREAD);
+        case 'addedBy': {
+          if (!agentRanks) {
+            const sorted = [...new Set(agents)].sort(compareValues);
+            agentRanks = agents.map(agent => sorted.indexOf(agent));
+          }
+          return agentRanks[id % agents.length];
+        }
+        default:
+          // id and phone follow the id
+          return id;
+      }
+    }
+  };
+}
+
+// Source behind the stored and virtual customers of the app
+export const defaultDataSource = createDataSource();
+
+// Stored records and seed of a database that was never seeded; both can be
+// changed from the dataset settings, which regenerate the database
+export const DEFAULT_DATASET = { size: 10000, seed: 0 };
+
+// Sizes offered in the dataset settings
+export const DATASET_SIZES = [1000, 10000, 50000, 100000];
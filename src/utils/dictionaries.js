@@ -0,0 +1,128 @@
+// src/utils/dictionaries.js
+
+/**
+ * Word lists used to generate customer records
+ * A locale bundles names, email domains and the phone country code.
+ * Agents are the team members records are assigned to and do not
+ * depend on the locale, and neither do the message templates.
+ */
+
+export const DEFAULT_AGENTS = [
+  'Karthey Mishra',
+  'Agent Smith',
+  'Agent Jones',
+  'Agent Brown',
+  'Agent Taylor',
+  'Agent Wilson',
+  'Agent Anderson',
+  'Agent Thomas'
+];
+
+// Message texts of generated conversations; {first} is the customer's
+// first name and {agent} the agent writing
+export const DEFAULT_MESSAGES = {
+  inbound: [
+    'Hi, is my order on its way?',
+    'Can you send me the invoice again?',
+    'Thanks, that worked!',
+    'Do you have this in a larger size?',
+    'What are your opening hours this weekend?',
+    'I was charged twice, can you check?',
+    'Please call me back when you can.',
+    'Is the discount still available?',
+    'Great, see you then.',
+    'Could you change the delivery address?'
+  ],
+  outbound: [
+    'Hi {first}, this is {agent}. How can I help?',
+    'Your order has shipped and should arrive in 2-3 days.',
+    'I have sent the invoice to your email.',
+    'Thanks for reaching out, {first}! Let me check that for you.',
+    'The refund has been processed.',
+    'Yes, the offer is valid until the end of the month.',
+    'Your appointment is confirmed.',
+    'Is there anything else I can help with?',
+    'We are open 9am to 6pm, Monday to Saturday.',
+    'Done! The address has been updated.'
+  ]
+};
+
+export const LOCALES = {
+  'en-US': {
+    countryCode: '1',
+    firstNames: [
+      'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda',
+      'William', 'Barbara', 'David', 'Elizabeth', 'Richard', 'Susan', 'Joseph', 'Jessica',
+      'Thomas', 'Sarah', 'Charles', 'Karen', 'Christopher', 'Nancy', 'Daniel', 'Lisa',
+      'Matthew', 'Betty', 'Anthony', 'Margaret', 'Mark', 'Sandra', 'Donald', 'Ashley',
+      'Steven', 'Kimberly', 'Paul', 'Emily', 'Andrew', 'Donna', 'Joshua', 'Michelle',
+      'Kevin', 'Carol', 'Brian', 'Amanda', 'George', 'Melissa', 'Edward', 'Deborah',
+      'Ronald', 'Stephanie', 'Timothy', 'Rebecca', 'Jason', 'Sharon', 'Jeffrey', 'Laura',
+      'Ryan', 'Cynthia', 'Jacob', 'Kathleen', 'Gary', 'Amy', 'Nicholas', 'Angela'
+    ],
+    lastNames: [
+      'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+      'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson',
+      'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson',
+      'White', 'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker',
+      'Young', 'Allen', 'King', 'Wright', 'Scott', 'Torres', 'Nguyen', 'Hill', 'Flores',
+      'Green', 'Adams', 'Nelson', 'Baker', 'Hall', 'Rivera', 'Campbell', 'Mitchell',
+      'Carter', 'Roberts', 'Gomez', 'Phillips', 'Evans', 'Turner', 'Diaz', 'Parker'
+    ],
+    domains: [
+      'gmail.com',
+      'yahoo.com',
+      'outlook.com',
+      'hotmail.com',
+      'company.com',
+      'icloud.com',
+      'protonmail.com',
+      'mail.com'
+    ]
+  },
+
+  'en-GB': {
+    countryCode: '44',
+    firstNames: [
+      'Oliver', 'Amelia', 'George', 'Isla', 'Harry', 'Ava', 'Jack', 'Olivia',
+      'Charlie', 'Emily', 'Thomas', 'Sophie', 'Oscar', 'Grace', 'William', 'Lily',
+      'James', 'Freya', 'Henry', 'Ella', 'Alfie', 'Poppy', 'Arthur', 'Evie'
+    ],
+    lastNames: [
+      'Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Johnson', 'Davies',
+      'Robinson', 'Wright', 'Thompson', 'Evans', 'Walker', 'White', 'Roberts', 'Green',
+      'Hall', 'Wood', 'Jackson', 'Clarke', 'Hughes', 'Edwards', 'Turner', 'Hill'
+    ],
+    domains: [
+      'gmail.com',
+      'btinternet.com',
+      'outlook.co.uk',
+      'yahoo.co.uk',
+      'sky.com',
+      'company.co.uk'
+    ]
+  },
+
+  'en-IN': {
+    countryCode: '91',
+    firstNames: [
+      'Aarav', 'Ananya', 'Vivaan', 'Diya', 'Aditya', 'Saanvi', 'Arjun', 'Aadhya',
+      'Sai', 'Pari', 'Reyansh', 'Anika', 'Krishna', 'Navya', 'Ishaan', 'Myra',
+      'Rohan', 'Priya', 'Karthik', 'Sneha', 'Rahul', 'Kavya', 'Vikram', 'Meera'
+    ],
+    lastNames: [
+      'Sharma', 'Verma', 'Gupta', 'Patel', 'Reddy', 'Iyer', 'Nair', 'Rao',
+      'Singh', 'Kumar', 'Mishra', 'Joshi', 'Mehta', 'Shah', 'Das', 'Bose',
+      'Chatterjee', 'Menon', 'Pillai', 'Kapoor', 'Malhotra', 'Agarwal', 'Desai', 'Avula'
+    ],
+    domains: [
+      'gmail.com',
+      'yahoo.co.in',
+      'outlook.com',
+      'rediffmail.com',
+      'company.in'
+    ]
+  }
+};
+
+export const DEFAULT_LOCALE = 'en-US';
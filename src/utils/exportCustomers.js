@@ -0,0 +1,184 @@
+// src/utils/exportCustomers.js
+
+/**
+ * Export customers to downloadable files
+ * Customers are read and encoded in chunks, so exporting all 1M rows
+ * never holds them in memory at once
+ */
+
+import { getCustomers, getCustomersByIds } from './customerApi';
+import { createXlsxWriter } from './xlsxWriter';
+
+export const EXPORT_FIELDS = ['id', 'name', 'phone', 'email', 'score', 'lastMessageAt', 'addedBy'];
+
+// Records loaded per chunk while exporting
+const CHUNK_SIZE = 5000;
+
+/**
+ * Quote a CSV value when needed (RFC 4180)
+ */
+export function csvValue(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format customers as CSV lines
+ * @param {Array} customers - Customer records
+ * @returns {string} CSV lines, each ending with \r\n
+ */
+export function toCsvRows(customers) {
+  return customers
+    .map(customer => EXPORT_FIELDS.map(field => csvValue(customer[field])).join(',') + '\r\n')
+    .join('');
+}
+
+/**
+ * Format customers as JSON lines (one object per line)
+ * @param {Array} customers - Customer records
+ * @returns {string} JSON lines, each ending with \n
+ */
+export function toJsonLines(customers) {
+  return customers
+    .map(customer => JSON.stringify(
+      Object.fromEntries(EXPORT_FIELDS.map(field => [field, customer[field]]))
+    ) + '\n')
+    .join('');
+}
+
+/**
+ * Writers per format: write(customers) per chunk, finish() returns the file
+ */
+function createTextWriter(header, format, type) {
+  const parts = header ? [header] : [];
+  return {
+    write(customers) {
+      parts.push(new Blob([format(customers)]));
+    },
+    finish() {
+      return new Blob(parts, { type });
+    }
+  };
+}
+
+function createSpreadsheetWriter() {
+  const xlsx = createXlsxWriter('Customers', EXPORT_FIELDS);
+  return {
+    write(customers) {
+      xlsx.addRows(customers.map(customer => EXPORT_FIELDS.map(field => customer[field])));
+    },
+    finish() {
+      return xlsx.finish();
+    }
+  };
+}
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = [
+  {
+    id: 'csv',
+    label: 'CSV',
+    extension: 'csv',
+    createWriter: () => createTextWriter(EXPORT_FIELDS.join(',') + '\r\n', toCsvRows, 'text/csv')
+  },
+  {
+    id: 'jsonl',
+    label: 'JSON lines',
+    extension: 'jsonl',
+    createWriter: () => createTextWriter(null, toJsonLines, 'application/x-ndjson')
+  },
+  {
+    id: 'xlsx',
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    createWriter: createSpreadsheetWriter
+  }
+];
+
+function getFormat(id) {
+  const format = EXPORT_FORMATS.find(item => item.id === id);
+  if (!format) {
+    throw new Error(`Unknown export format: ${id}`);
+  }
+  return format;
+}
+
+/**
+ * Stop an export when its signal was aborted
+ */
+function checkAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Export cancelled', 'AbortError');
+  }
+}
+
+/**
+ * Offer a Blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export the result set of a query, paging through getCustomers
+ * @param {Object} params - Export parameters
+ * @param {Object} params.query - { search, sort, filters } as shown in the table
+ * @param {string} params.format - Format id from EXPORT_FORMATS
+ * @param {Function} params.onProgress - Progress callback (current, total)
+ * @param {AbortSignal} params.signal - Cancels the export (rejects with an AbortError);
+ *   also cancels the chunk query running in the worker
+ */
+export async function exportCustomers({ query, format = 'csv', onProgress, signal }) {
+  const { extension, createWriter } = getFormat(format);
+  const writer = createWriter();
+  let offset = 0;
+  let total = Infinity;
+
+  while (offset < total) {
+    checkAborted(signal);
+
+    const result = await getCustomers({ ...query, offset, limit: CHUNK_SIZE, signal });
+    total = result.total;
+    if (result.data.length === 0) break;
+
+    writer.write(result.data);
+    offset += result.data.length;
+
+    if (onProgress) {
+      onProgress(offset, total);
+    }
+  }
+
+  checkAborted(signal);
+  downloadBlob(writer.finish(), `customers.${extension}`);
+}
+
+/**
+ * Export customers by id as a CSV file
+ * @param {ArrayLike<number>} ids - Customer ids
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export async function exportCustomerIdsAsCsv(ids, onProgress) {
+  const writer = getFormat('csv').createWriter();
+
+  for (let start = 0; start < ids.length; start += CHUNK_SIZE) {
+    writer.write(await getCustomersByIds(ids.slice(start, start + CHUNK_SIZE)));
+
+    if (onProgress) {
+      onProgress(Math.min(start + CHUNK_SIZE, ids.length), ids.length);
+    }
+  }
+
+  downloadBlob(writer.finish(), 'customers.csv');
+}
@@ -0,0 +1,263 @@
+// src/utils/filters.js
+
+/**
+ * Structured customer filters
+ * Shared by the filter editors in the table and the query engine in indexedDB.js
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filter state with nothing selected
+ * Dates are 'YYYY-MM-DD' strings as produced by <input type="date">.
+ * The filter menu sets the first group; the search box query language
+ * (queryLanguage.js) can also set message age in days, excluded agents and
+ * text terms { field: 'name'|'email'|'phone'|'domain', value, negate }.
+ */
+export const EMPTY_FILTERS = {
+  scoreMin: null,
+  scoreMax: null,
+  datePreset: null,
+  dateFrom: null,
+  dateTo: null,
+  agents: [],
+  messageAgeMin: null,
+  messageAgeMax: null,
+  excludedAgents: [],
+  terms: []
+};
+
+/**
+ * Relative date ranges offered by the date filter
+ */
+export const DATE_PRESETS = [
+  { id: 'last7', label: 'Last 7 days', days: 7 },
+  { id: 'last30', label: 'Last 30 days', days: 30 },
+  { id: 'last90', label: 'Last 90 days', days: 90 },
+  { id: 'last365', label: 'Last 12 months', days: 365 }
+];
+
+/**
+ * Fill in missing keys so callers can pass partial filter objects
+ * @param {Object} filters - Partial filters (or null)
+ * @returns {Object} Complete filters object
+ */
+export function normalizeFilters(filters) {
+  return {
+    ...EMPTY_FILTERS,
+    ...(filters || {}),
+    agents: filters?.agents || [],
+    excludedAgents: filters?.excludedAgents || [],
+    terms: filters?.terms || []
+  };
+}
+
+/**
+ * Check if any filter is set
+ * @param {Object} filters - Filters object
+ * @returns {boolean} True if at least one filter would exclude rows
+ */
+export function hasActiveFilters(filters) {
+  if (!filters) return false;
+  return (
+    filters.scoreMin != null ||
+    filters.scoreMax != null ||
+    filters.datePreset != null ||
+    filters.dateFrom != null ||
+    filters.dateTo != null ||
+    (filters.agents?.length ?? 0) > 0 ||
+    filters.messageAgeMin != null ||
+    filters.messageAgeMax != null ||
+    (filters.excludedAgents?.length ?? 0) > 0 ||
+    (filters.terms?.length ?? 0) > 0
+  );
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' string as local midnight
+ * @param {string} value - Date string
+ * @returns {number} Epoch milliseconds
+ */
+function parseLocalDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+/**
+ * Tighter of two bounds, ignoring missing ones
+ */
+function pickBound(a, b, pick) {
+  if (a == null) return b;
+  if (b == null) return a;
+  return pick(a, b);
+}
+
+/**
+ * Turn the date part of the filters into absolute bounds
+ * A preset wins over explicit dates; `to` is inclusive of the whole day.
+ * Message age bounds narrow the result further.
+ * @param {Object} filters - Filters object
+ * @param {number} now - Reference time in epoch milliseconds
+ * @returns {Object} { from, to } in epoch milliseconds (null = unbounded)
+ */
+export function resolveDateRange(filters, now = Date.now()) {
+  let from = null;
+  let to = null;
+
+  if (filters.datePreset) {
+    const preset = DATE_PRESETS.find(p => p.id === filters.datePreset);
+    from = preset ? now - preset.days * DAY_MS : null;
+  } else {
+    from = filters.dateFrom ? parseLocalDate(filters.dateFrom) : null;
+    to = filters.dateTo ? parseLocalDate(filters.dateTo) + DAY_MS - 1 : null;
+  }
+
+  if (filters.messageAgeMax != null) {
+    from = pickBound(from, now - filters.messageAgeMax * DAY_MS, Math.max);
+  }
+  if (filters.messageAgeMin != null) {
+    to = pickBound(to, now - filters.messageAgeMin * DAY_MS, Math.min);
+  }
+
+  return { from, to };
+}
+
+/**
+ * Check a text term against a customer record
+ * name and email match case-insensitively, phone literally like the search
+ * box; domain matches the email domain or one of its parent domains
+ * @param {Object} customer - Full customer record
+ * @param {Object} term - { field, value }
+ * @returns {boolean} True if the field contains the value
+ */
+export function matchesTerm(customer, { field, value }) {
+  switch (field) {
+    case 'name':
+      return customer.name.toLowerCase().includes(value.toLowerCase());
+    case 'email':
+      return customer.email.toLowerCase().includes(value.toLowerCase());
+    case 'phone':
+      return customer.phone.includes(value);
+    case 'domain': {
+      const domain = customer.email.slice(customer.email.lastIndexOf('@') + 1).toLowerCase();
+      const wanted = value.toLowerCase();
+      return domain === wanted || domain.endsWith(`.${wanted}`);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Convert a lastMessageAt value (ISO string or epoch ms) to epoch ms
+ * @param {string|number} value - Timestamp
+ * @returns {number} Epoch milliseconds
+ */
+export function toTime(value) {
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+/**
+ * Compile filters into a predicate
+ * Without text terms the predicate only reads score, lastMessageAt and
+ * addedBy, so callers may pass lightweight objects instead of full
+ * customer records; terms need name, email and phone
+ * @param {Object} filters - Filters object
+ * @param {number} now - Reference time for relative presets
+ * @returns {Function|null} (customer) => boolean, or null if nothing is filtered
+ */
+export function createFilterPredicate(filters, now = Date.now()) {
+  if (!hasActiveFilters(filters)) return null;
+
+  const { scoreMin, scoreMax } = filters;
+  const { from, to } = resolveDateRange(filters, now);
+  const agents = filters.agents?.length ? new Set(filters.agents) : null;
+  const excludedAgents = filters.excludedAgents?.length ? new Set(filters.excludedAgents) : null;
+  const terms = filters.terms || [];
+
+  return (customer) => {
+    if (scoreMin != null && customer.score < scoreMin) return false;
+    if (scoreMax != null && customer.score > scoreMax) return false;
+    if (agents && !agents.has(customer.addedBy)) return false;
+    if (excludedAgents && excludedAgents.has(customer.addedBy)) return false;
+    if (terms.some(term => matchesTerm(customer, term) === term.negate)) return false;
+
+    if (from != null || to != null) {
+      const time = toTime(customer.lastMessageAt);
+      if (from != null && time < from) return false;
+      if (to != null && time > to) return false;
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Format a 'YYYY-MM-DD' string for display
+ */
+function formatDay(value) {
+  return new Date(parseLocalDate(value)).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Describe active filters as removable chips
+ * @param {Object} filters - Filters object
+ * @returns {Array} [{ key, label }] where key is accepted by removeFilter
+ */
+export function describeFilters(filters) {
+  const chips = [];
+  if (!filters) return chips;
+
+  const { scoreMin, scoreMax, datePreset, dateFrom, dateTo, agents } = filters;
+
+  if (scoreMin != null || scoreMax != null) {
+    let label;
+    if (scoreMin != null && scoreMax != null) label = `Score: ${scoreMin}–${scoreMax}`;
+    else if (scoreMin != null) label = `Score ≥ ${scoreMin}`;
+    else label = `Score ≤ ${scoreMax}`;
+    chips.push({ key: 'score', label });
+  }
+
+  if (datePreset) {
+    const preset = DATE_PRESETS.find(p => p.id === datePreset);
+    chips.push({ key: 'date', label: `Last message: ${preset ? preset.label : datePreset}` });
+  } else if (dateFrom || dateTo) {
+    let label;
+    if (dateFrom && dateTo) label = `${formatDay(dateFrom)} – ${formatDay(dateTo)}`;
+    else if (dateFrom) label = `since ${formatDay(dateFrom)}`;
+    else label = `until ${formatDay(dateTo)}`;
+    chips.push({ key: 'date', label: `Last message: ${label}` });
+  }
+
+  if (agents?.length) {
+    const label = agents.length <= 2
+      ? agents.join(', ')
+      : `${agents[0]} +${agents.length - 1} more`;
+    chips.push({ key: 'agents', label: `Added by: ${label}` });
+  }
+
+  return chips;
+}
+
+/**
+ * Clear one filter group
+ * @param {Object} filters - Filters object
+ * @param {string} key - Chip key from describeFilters
+ * @returns {Object} New filters object
+ */
+export function removeFilter(filters, key) {
+  switch (key) {
+    case 'score':
+      return { ...filters, scoreMin: null, scoreMax: null };
+    case 'date':
+      return { ...filters, datePreset: null, dateFrom: null, dateTo: null };
+    case 'agents':
+      return { ...filters, agents: [] };
+    default:
+      return filters;
+  }
+}
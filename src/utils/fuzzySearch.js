@@ -0,0 +1,282 @@
+// src/utils/fuzzySearch.js
+
+/**
+ * Typo-tolerant text search
+ * The search text is split into words; a customer matches when every word
+ * matches a word of their name or email, either exactly, as a prefix or
+ * substring, or within a small edit distance ("jonh smtih" finds John Smith).
+ * Customers containing the whole text, as the plain search always found,
+ * still match and rank first. Digits never match fuzzily, and phone-like
+ * text ignores spaces, dashes, dots and brackets.
+ *
+ * Relevance is a number > 0 for matches: 1 + mean word score for customers
+ * containing the whole text, the mean word score (0 to 1) otherwise.
+ */
+
+import { forEachIdWithDigitPrefix, searchVirtualRange } from './virtualSearch';
+
+// Words and numbers inside a field; letters and digits are separate words,
+// so 'john.smith42@gmail.com' gives john, smith, 42, gmail, com
+export const WORD_PATTERN = /\p{L}+|\p{N}+/gu;
+
+const PHONE_LIKE = /^\+?[\d\s().-]*\d[\d\s().-]*$/;
+
+/**
+ * Strip formatting from phone-like text, e.g. '+1 (415) 555-0123' -> '+14155550123'
+ * Other text is returned trimmed but otherwise unchanged
+ * @param {string} text - Search text
+ * @returns {string} Normalized search text
+ */
+export function normalizeSearchText(text) {
+  const trimmed = text.trim();
+  if (!PHONE_LIKE.test(trimmed)) return text;
+  return (trimmed.startsWith('+') ? '+' : '') + trimmed.replace(/\D/g, '');
+}
+
+/**
+ * Lowercase words of a field
+ */
+function toWords(value) {
+  return value.toLowerCase().match(WORD_PATTERN) || [];
+}
+
+/**
+ * Words of the search text
+ * @param {string} text - Normalized search text
+ * @returns {Array<string>} Lowercase words; a phone number stays one word
+ */
+export function getSearchWords(text) {
+  const trimmed = text.trim();
+  if (/^\+?\d+$/.test(trimmed)) return [trimmed];
+  return toWords(trimmed);
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment)
+ * Stops early once every alignment exceeds max
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Typos allowed in a search word: none up to 3 letters, one up to 6, two beyond
+ */
+function allowedEdits(word) {
+  if (word.length <= 3) return 0;
+  return word.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Score a search word against one word of a field
+ * @param {string} word - Lowercase search word
+ * @param {string} token - Lowercase field word
+ * @returns {number} 1 exact, 0.9 prefix, 0.8 substring, 0.6 / 0.4 for one / two
+ *   typos (a little less when only the start of the field word is typed), 0 no match
+ */
+export function scoreWord(word, token) {
+  if (token === word) return 1;
+  if (token.startsWith(word)) return 0.9;
+  if (token.includes(word)) return 0.8;
+
+  const max = allowedEdits(word);
+  if (max === 0 || /\d/.test(word)) return 0;
+
+  const whole = editDistance(word, token, max);
+  if (whole <= max) return whole === 1 ? 0.6 : 0.4;
+
+  if (token.length > word.length) {
+    const start = editDistance(word, token.slice(0, word.length), max);
+    if (start <= max) return start === 1 ? 0.5 : 0.3;
+  }
+  return 0;
+}
+
+/**
+ * Best score of a search word over several field words
+ */
+function bestScore(word, tokens) {
+  let best = 0;
+  for (const token of tokens) {
+    best = Math.max(best, scoreWord(word, token));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Compile search text into a relevance function for full customer records
+ * @param {string} text - Search text
+ * @returns {Function} (customer) => relevance, 0 when the customer does not match
+ */
+export function createTextMatcher(text) {
+  const term = normalizeSearchText(text);
+  const termLower = term.toLowerCase();
+  const words = getSearchWords(term);
+
+  const contains = (customer, value, lower) =>
+    customer.name.toLowerCase().includes(lower) ||
+    customer.email.toLowerCase().includes(lower) ||
+    customer.phone.includes(value);
+
+  return (customer) => {
+    const tokens = [...toWords(customer.name), ...toWords(customer.email)];
+    let total = 0;
+    let complete = true;
+
+    for (const word of words) {
+      const score = Math.max(bestScore(word, tokens), contains(customer, word, word) ? 0.8 : 0);
+      if (score === 0) complete = false;
+      total += score;
+    }
+
+    const mean = words.length > 0 ? total / words.length : 0;
+    if (contains(customer, term, termLower)) return 1 + mean;
+    return complete ? mean : 0;
+  };
+}
+
+/**
+ * Score a number search word against the id, the only number in a
+ * generated email, with the tiers of scoreWord: 1 for the id itself, 0.9
+ * for ids starting with it. Other ids containing it get 0.8 through the
+ * substring search.
+ * @returns {Float32Array|null} Score indexed by id, null for words with letters
+ */
+function scoreIdWord(word, from, to) {
+  if (!/^\d+$/.test(word)) return null;
+
+  const scores = new Float32Array(to + 1);
+  forEachIdWithDigitPrefix(word, from, to, (id) => { scores[id] = 0.9; });
+  const id = Number(word);
+  if (word[0] !== '0' && id >= from && id <= to) scores[id] = 1;
+  return scores;
+}
+
+/**
+ * Relevance of every generated customer, without generating them
+ * Name words are scored once per name combination and domain words once per
+ * domain, following the record layout in dataSource.js; number words are
+ * scored against each id, as createTextMatcher scores the email's digits
+ * @param {string} text - Search text
+ * @param {Object} layout - Same as searchVirtualRange
+ * @returns {Float32Array} Relevance indexed by id, 0 for ids that do not match
+ */
+export function scoreVirtualRange(text, layout) {
+  const { from, to, firstNames, lastNames, domains } = layout;
+  const term = normalizeSearchText(text);
+  const words = getSearchWords(term);
+  const scores = new Float32Array(to + 1);
+  const whole = searchVirtualRange(term, layout);
+
+  const nameWords = [];
+  for (const last of lastNames) {
+    for (const first of firstNames) {
+      nameWords.push([...toWords(first), ...toWords(last)]);
+    }
+  }
+  const domainWords = domains.map(toWords);
+  const combination = (id) =>
+    id % firstNames.length + firstNames.length * (Math.floor(id / firstNames.length) % lastNames.length);
+
+  // Per word: score per name combination, per domain and per id, and the
+  // ids containing it anywhere (covers digits and text spanning several words)
+  const perWord = words.map(word => ({
+    names: Float32Array.from(nameWords, tokens => bestScore(word, tokens)),
+    domains: Float32Array.from(domainWords, tokens => bestScore(word, tokens)),
+    ids: scoreIdWord(word, from, to),
+    contains: words.length === 1 && word === term.toLowerCase() ? whole : searchVirtualRange(word, layout)
+  }));
+
+  for (let id = from; id <= to; id++) {
+    const name = combination(id);
+    const domain = id % domains.length;
+    let total = 0;
+    let complete = true;
+
+    for (const { names, domains: domainScores, ids, contains } of perWord) {
+      const score = Math.max(names[name], domainScores[domain], ids ? ids[id] : 0, contains[id] ? 0.8 : 0);
+      if (score === 0) complete = false;
+      total += score;
+    }
+
+    const mean = words.length > 0 ? total / words.length : 0;
+    if (whole[id]) scores[id] = 1 + mean;
+    else if (complete) scores[id] = mean;
+  }
+
+  return scores;
+}
+
+/**
+ * Split a cell value into plain and highlighted parts for the search text
+ * Highlights the whole text where it occurs, otherwise each word's exact
+ * occurrence or the field word it fuzzily matched
+ * @param {string} value - Cell text
+ * @param {string} text - Search text
+ * @returns {Array<Object>} [{ text, match }] covering the whole value
+ */
+export function highlightMatches(value, text) {
+  const term = normalizeSearchText(text || '').toLowerCase();
+  if (!value || !term.trim()) return [{ text: value, match: false }];
+
+  const lower = value.toLowerCase();
+  const ranges = [];
+  const addOccurrence = (needle) => {
+    const start = lower.indexOf(needle);
+    if (start === -1) return false;
+    ranges.push([start, start + needle.length]);
+    return true;
+  };
+
+  if (!addOccurrence(term)) {
+    const tokens = [...lower.matchAll(WORD_PATTERN)];
+    getSearchWords(term).forEach(word => {
+      if (addOccurrence(word)) return;
+
+      let best = null;
+      tokens.forEach(token => {
+        const score = scoreWord(word, token[0]);
+        if (score > 0 && (!best || score > best.score)) best = { score, token };
+      });
+      if (best) ranges.push([best.token.index, best.token.index + best.token[0].length]);
+    });
+  }
+
+  // Merge overlapping ranges and cut the value along them
+  ranges.sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let position = 0;
+  for (const [start, end] of ranges) {
+    if (end <= position) continue;
+    const from = Math.max(start, position);
+    if (from > position) parts.push({ text: value.slice(position, from), match: false });
+    parts.push({ text: value.slice(from, end), match: true });
+    position = end;
+  }
+  if (position < value.length) parts.push({ text: value.slice(position), match: false });
+  return parts;
+}
@@ -0,0 +1,59 @@
+// src/utils/fuzzySearch.test.js
+
+import { describe, expect, it } from 'vitest';
+import { createTextMatcher, scoreVirtualRange } from './fuzzySearch';
+import { createDataSource, defaultDataSource } from './dataSource';
+
+const LAST_ID = 12500;
+
+const QUERIES = [
+  '555',
+  '12',
+  '1250',
+  '0050',
+  'mary 12',
+  'smith 1000',
+  'jonh smtih',
+  'gmail 7',
+  'james.smith',
+  '+10000001234',
+  '(000) 000-1234'
+];
+
+/**
+ * Ids whose relevance differs between the stored and the generated path
+ * @returns {Array} [id, stored score, generated score]
+ */
+function compareScores(dataSource, text) {
+  const matchText = createTextMatcher(text);
+  const scores = scoreVirtualRange(text, { from: 1, to: LAST_ID, ...dataSource.dictionaries });
+  const differences = [];
+
+  for (let id = 1; id <= LAST_ID; id++) {
+    const stored = matchText(dataSource.generate(id));
+    if (Math.abs(stored - scores[id]) > 1e-6) differences.push([id, stored, scores[id]]);
+  }
+  return differences;
+}
+
+describe('scoreVirtualRange', () => {
+  it.each(QUERIES)('scores generated records like stored ones for "%s"', (text) => {
+    expect(compareScores(defaultDataSource, text)).toEqual([]);
+  });
+
+  it('follows the data source layout', () => {
+    const dataSource = createDataSource({ seed: 7, locale: 'en-IN' });
+
+    ['priya 12', '91', 'rediffmail 3', 'sharma 1234'].forEach(text => {
+      expect(compareScores(dataSource, text)).toEqual([]);
+    });
+  });
+
+  it('ranks the exact id above ids starting with it', () => {
+    const scores = scoreVirtualRange('1250', { from: 1, to: LAST_ID, ...defaultDataSource.dictionaries });
+
+    expect(scores[1250]).toBeCloseTo(2);
+    expect(scores[12500]).toBeCloseTo(1.9);
+    expect(scores[11250]).toBeCloseTo(1.8);
+  });
+});
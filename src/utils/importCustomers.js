@@ -0,0 +1,216 @@
+// src/utils/importCustomers.js
+
+/**
+ * Import customers from CSV files
+ * Parse -> map columns -> validate -> detect duplicates -> save in batches
+ */
+
+import { addCustomerBatches, findDuplicateCustomers } from './customerApi';
+import { validateCustomer } from './customerValidation';
+import { csvValue } from './exportCustomers';
+
+// Rows checked for duplicates and saved per batch
+const BATCH_SIZE = 1000;
+
+/**
+ * Customer fields a CSV column can be mapped to
+ * aliases are normalized header names recognized when guessing the mapping
+ */
+export const IMPORT_FIELDS = [
+  { id: 'name', label: 'Name', required: true, aliases: ['name', 'fullname', 'customer', 'customername'] },
+  { id: 'phone', label: 'Phone', required: true, aliases: ['phone', 'phonenumber', 'mobile', 'whatsapp'] },
+  { id: 'email', label: 'Email', required: true, aliases: ['email', 'emailaddress', 'mail'] },
+  { id: 'score', label: 'Score', required: false, aliases: ['score', 'leadscore'] },
+  { id: 'lastMessageAt', label: 'Last message at', required: false, aliases: ['lastmessageat', 'lastmessage', 'lastmessagesentat'] },
+  { id: 'addedBy', label: 'Added by', required: false, aliases: ['addedby', 'agent', 'owner'] }
+];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Rows { line, cells }, line being the 1-based line
+ *   of the file the row starts on; blank lines are skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip BOM
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // Line breaks inside quotes belong to the cell
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Guess which column holds which field from the header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Field id -> column index, or null when not found
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z]/g, ''));
+
+  return Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const index = normalized.findIndex(header => field.aliases.includes(header));
+    return [field.id, index === -1 ? null : index];
+  }));
+}
+
+/**
+ * Map, validate and normalize one CSV row
+ * @param {Array<string>} cells - Row cells
+ * @param {Object} mapping - Field id -> column index (or null)
+ * @param {Object} defaults - { addedBy } used when the column is not mapped or empty
+ * @returns {Object} { customer } or { error }
+ */
+function parseRow(cells, mapping, defaults) {
+  const cell = (field) => (mapping[field] == null ? '' : (cells[mapping[field]] ?? '').trim());
+
+  const { customer, errors } = validateCustomer({
+    name: cell('name'),
+    phone: cell('phone'),
+    email: cell('email'),
+    score: cell('score') || '0',
+    addedBy: cell('addedBy') || defaults.addedBy
+  });
+
+  const lastMessage = cell('lastMessageAt');
+  const lastMessageAt = lastMessage ? new Date(lastMessage) : new Date();
+  if (Number.isNaN(lastMessageAt.getTime())) {
+    errors.lastMessageAt = 'Last message date is not a valid date';
+  }
+
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    return { error: messages.join('; ') };
+  }
+
+  return { customer: { ...customer, lastMessageAt: lastMessageAt.toISOString() } };
+}
+
+/**
+ * Import parsed CSV rows into the customers store
+ * Rows are rejected when they fail validation, repeat a phone or email
+ * of an earlier row, or match an existing customer's phone or email
+ * @param {Object} params - Import parameters
+ * @param {Array<Object>} params.rows - Data rows from parseCsv (without the header)
+ * @param {Object} params.mapping - Field id -> column index
+ * @param {Object} params.defaults - { addedBy } for rows without an agent
+ * @param {Function} params.onProgress - Progress callback (phase, current, total), phase is 'checking' or 'saving'
+ * @returns {Promise<Object>} { imported, rejected: [{ line, cells, reason }] }
+ */
+export async function importCustomers({ rows, mapping, defaults = {}, onProgress }) {
+  const rejected = [];
+  const accepted = [];
+  const seenPhones = new Set();
+  const seenEmails = new Set();
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = [];
+
+    rows.slice(start, start + BATCH_SIZE).forEach(({ line, cells }) => {
+      const { customer, error } = parseRow(cells, mapping, defaults);
+
+      if (error) {
+        rejected.push({ line, cells, reason: error });
+      } else if (seenPhones.has(customer.phone)) {
+        rejected.push({ line, cells, reason: `Duplicate phone ${customer.phone} earlier in the file` });
+      } else if (seenEmails.has(customer.email)) {
+        rejected.push({ line, cells, reason: `Duplicate email ${customer.email} earlier in the file` });
+      } else {
+        seenPhones.add(customer.phone);
+        seenEmails.add(customer.email);
+        batch.push({ line, cells, customer });
+      }
+    });
+
+    const duplicates = await findDuplicateCustomers(batch.map(item => item.customer));
+    batch.forEach((item, index) => {
+      const duplicate = duplicates[index];
+      if (duplicate) {
+        rejected.push({
+          line: item.line,
+          cells: item.cells,
+          reason: `Same ${duplicate.field} as existing customer #${duplicate.id}`
+        });
+      } else {
+        accepted.push(item.customer);
+      }
+    });
+
+    if (onProgress) {
+      onProgress('checking', Math.min(start + BATCH_SIZE, rows.length), rows.length);
+    }
+  }
+
+  rejected.sort((a, b) => a.line - b.line);
+
+  if (accepted.length > 0) {
+    await addCustomerBatches(
+      Array.from(batches(accepted)),
+      accepted.length,
+      (current, total) => onProgress && onProgress('saving', current, total)
+    );
+  }
+
+  return { imported: accepted.length, rejected };
+}
+
+function* batches(customers) {
+  for (let start = 0; start < customers.length; start += BATCH_SIZE) {
+    yield customers.slice(start, start + BATCH_SIZE);
+  }
+}
+
+/**
+ * Build a CSV report of rejected rows: the original columns plus line and reason
+ * @param {Array<string>} headers - Header row of the imported file
+ * @param {Array} rejected - Rejected rows from importCustomers
+ * @returns {Blob} CSV file
+ */
+export function createRejectedReport(headers, rejected) {
+  const line = (cells) => cells.map(csvValue).join(',') + '\r\n';
+
+  return new Blob(
+    [line(['line', ...headers, 'reason']), ...rejected.map(row => line([row.line, ...row.cells, row.reason]))],
+    { type: 'text/csv' }
+  );
+}
@@ -0,0 +1,77 @@
+// src/utils/importCustomers.test.js
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { addCustomerBatches, findDuplicateCustomers } from './customerApi';
+import { guessColumnMapping, importCustomers, parseCsv } from './importCustomers';
+
+// The worker is not available here; duplicates and writes are checked by call
+vi.mock('./customerApi', () => ({
+  addCustomerBatches: vi.fn(async () => {}),
+  findDuplicateCustomers: vi.fn(async (customers) => customers.map(() => null))
+}));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('parseCsv', () => {
+  it('numbers rows by the line they start on', () => {
+    const text = 'name,phone\r\n\r\nAda,"+1 555\r\n0100"\n\n\nBob,+15550101\rCy,"say ""hi"""\n';
+
+    expect(parseCsv(text)).toEqual([
+      { line: 1, cells: ['name', 'phone'] },
+      { line: 3, cells: ['Ada', '+1 555\r\n0100'] },
+      { line: 7, cells: ['Bob', '+15550101'] },
+      { line: 8, cells: ['Cy', 'say "hi"'] }
+    ]);
+  });
+
+  it('skips a byte order mark and keeps a last row without a line break', () => {
+    expect(parseCsv('\uFEFFa,b\n1,')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 2, cells: ['1', ''] }
+    ]);
+  });
+
+  it('counts a lone carriage return inside quotes as a line break', () => {
+    expect(parseCsv('"a\rb",c\nd').map(row => row.line)).toEqual([1, 3]);
+  });
+});
+
+describe('importCustomers', () => {
+  const parse = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    return { rows, mapping: guessColumnMapping(header.cells) };
+  };
+
+  it('reports rejected rows with their line in the file', async () => {
+    const { rows, mapping } = parse([
+      'Name,Phone,Email',
+      '',
+      'Ada Lovelace,+15550100,ada@example.com',
+      ',+15550101,nobody@example.com',
+      '"Grace',
+      'Hopper",+15550102,grace@example.com',
+      '',
+      'Ada Again,+15550100,ada2@example.com',
+      'Alan Turing,+15550103,alan@example.com'
+    ].join('\n'));
+
+    findDuplicateCustomers.mockImplementation(async (customers) =>
+      customers.map(customer => (customer.email === 'alan@example.com' ? { id: 42, field: 'email' } : null))
+    );
+
+    const result = await importCustomers({ rows, mapping, defaults: { addedBy: 'Agent Smith' } });
+
+    expect(result.imported).toBe(2);
+    expect(result.rejected.map(({ line, reason }) => [line, reason])).toEqual([
+      [4, 'Name is required'],
+      [8, 'Duplicate phone +15550100 earlier in the file'],
+      [9, 'Same email as existing customer #42']
+    ]);
+
+    const [[batches, total]] = addCustomerBatches.mock.calls;
+    expect(total).toBe(2);
+    expect(batches.flat().map(customer => customer.name)).toEqual(['Ada Lovelace', 'Grace Hopper']);
+  });
+});
@@ -2,63 +2,184 @@
 
 /**
  * IndexedDB wrapper for customer data storage
- * Implements virtual scrolling by storing only 10K records but simulating 1M
+ * Implements virtual scrolling by storing only the seeded records (10K by
+ * default, see the dataset store) but simulating 1M
  */
 
+import { createFilterPredicate, hasActiveFilters, normalizeFilters } from './filters';
+import { createDataSource, defaultDataSource, DEFAULT_DATASET } from './dataSource';
+import { createSortIndex, sortIdsByKey } from './sortIndex';
+import { matchVirtualDomain, searchVirtualRange } from './virtualSearch';
+import { createTextMatcher, scoreVirtualRange } from './fuzzySearch';
+import { findCandidates, readVocabulary, updateIndexEntries } from './searchIndex';
+import { resolveSearch } from './queryLanguage';
+import { LATEST_VERSION, runMigrations } from './migrations';
+import { normalizeSort } from './sorting';
+
 const DB_NAME = 'DoubleTick';
 const STORE_NAME = 'customers';
-const DB_VERSION = 1;
+const DELETED_STORE = 'deletedCustomers';
+const VIEWS_STORE = 'savedViews';
+const PREFERENCES_STORE = 'preferences';
+const SEARCH_INDEX_STORE = 'searchIndex'; // See searchIndex.js
+const MESSAGES_STORE = 'messages';
+const AVATARS_STORE = 'avatars'; // Uploaded pictures, see avatars.js
+const DATASET_STORE = 'dataset';
+const DATASET_KEY = 'current';
+const DB_VERSION = LATEST_VERSION; // See migrations.js
 
 // Virtual scrolling configuration
 const VIRTUAL_TOTAL = 1000000; // Simulate 1M records
-const ACTUAL_STORED = 10000;   // Actually store 10K records
+
+// Dataset behind the customers, set by loadDataset(): ids up to storedSize
+// are seeded into IndexedDB, the rest up to VIRTUAL_TOTAL are generated
+let storedSize = DEFAULT_DATASET.size;
+let dataSource = defaultDataSource;
+
+// Receives database events that need the user's attention
+let databaseListener = () => {};
+
+/**
+ * Listen for database events
+ * 'blocked': an upgrade waits for other tabs to close the database
+ * 'versionchange': another tab upgraded or deleted the database; this tab is out of date
+ * @param {Function} listener - Called with the event name
+ */
+export function setDatabaseListener(listener) {
+  databaseListener = listener;
+}
 
 /**
  * Initialize IndexedDB database
+ * Missing schema versions are applied through the steps in migrations.js
+ * @param {string} name - Database name; benchmarks use a scratch database
  * @returns {Promise<IDBDatabase>} Database instance
  */
-export function initDB() {
+export function initDB(name = DB_NAME) {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const request = indexedDB.open(name, DB_VERSION);
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      // The database is newer than this code, i.e. another tab upgraded it
+      if (request.error?.name === 'VersionError') {
+        databaseListener('versionchange');
+      }
+      reject(request.error);
+    };
+
+    // Another tab still has the old version open
+    request.onblocked = () => databaseListener('blocked');
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Let other tabs upgrade instead of blocking them
+      db.onversionchange = () => {
+        db.close();
+        databaseListener('versionchange');
+      };
+      resolve(db);
+    };
 
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // Create object store if it doesn't exist
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-        
-        // Create indexes for efficient querying
-        store.createIndex('name', 'name', { unique: false });
-        store.createIndex('email', 'email', { unique: false });
-        store.createIndex('phone', 'phone', { unique: false });
-        store.createIndex('score', 'score', { unique: false });
-        store.createIndex('lastMessageAt', 'lastMessageAt', { unique: false });
-      }
+      const { transaction } = request;
+
+      runMigrations(request.result, transaction, event.oldVersion, event.newVersion).catch(error => {
+        console.error('Database migration failed:', error);
+        try {
+          transaction.abort(); // Keeps the previous version; open then fails with AbortError
+        } catch {
+          // Already aborted by the failed request
+        }
+      });
     };
   });
 }
 
 /**
- * Save customers in batches to IndexedDB
- * @param {Generator} batchGenerator - Generator function yielding customer batches
- * @param {number} totalRecords - Total number of records to save
- * @param {Function} onProgress - Progress callback (current, total)
+ * Write a customer and its search index entries
+ * The previous record is read first, in the same transaction, so only
+ * tokens that changed are touched
+ * @param {IDBTransaction} transaction - Readwrite transaction over customers and searchIndex
+ * @param {Object} customer - Customer to store
  */
-export async function saveCustomerBatches(batchGenerator, totalRecords, onProgress) {
-  const db = await initDB();
+function putCustomer(transaction, customer) {
+  const store = transaction.objectStore(STORE_NAME);
+  const request = store.get(customer.id);
+  
+  request.onsuccess = () => {
+    updateIndexEntries(transaction.objectStore(SEARCH_INDEX_STORE), request.result, customer);
+  };
+  store.put(customer);
+}
+
+/**
+ * Read the next free customer id inside the transaction that adds customers
+ * New ids go after the highest stored and every virtual id; reading it in
+ * the same readwrite transaction keeps ids unique when another tab adds
+ * customers at the same time
+ * @param {IDBObjectStore} store - Customers store of a readwrite transaction
+ * @param {Function} callback - Called with the id
+ */
+function readNextCustomerId(store, callback) {
+  const request = store.openKeyCursor(null, 'prev');
+  request.onsuccess = () => callback(Math.max(VIRTUAL_TOTAL, request.result ? request.result.key : 0) + 1);
+}
+
+/**
+ * Delete a stored customer, its search index entries, messages and uploaded picture
+ * @param {IDBTransaction} transaction - Readwrite transaction over customers, searchIndex, messages and avatars
+ * @param {number} id - Customer ID
+ */
+function removeCustomer(transaction, id) {
+  const store = transaction.objectStore(STORE_NAME);
+  const messages = transaction.objectStore(MESSAGES_STORE);
+  const request = store.get(id);
+  const messageKeys = messages.index('customerId').getAllKeys(id);
+  
+  request.onsuccess = () => {
+    if (request.result) {
+      updateIndexEntries(transaction.objectStore(SEARCH_INDEX_STORE), request.result, undefined);
+    }
+    if (request.result?.avatar) {
+      transaction.objectStore(AVATARS_STORE).delete(request.result.avatar);
+    }
+  };
+  messageKeys.onsuccess = () => messageKeys.result.forEach(key => messages.delete(key));
+  store.delete(id);
+}
+
+/**
+ * Store the generated message history of a generated customer
+ * @param {IDBTransaction} transaction - Readwrite transaction over messages
+ * @param {Object} customer - Customer just written
+ */
+function putGeneratedMessages(transaction, customer) {
+  if (customer.id > VIRTUAL_TOTAL) return; // Imported, starts without messages
+  
+  const messages = transaction.objectStore(MESSAGES_STORE);
+  dataSource.messages(customer.id).forEach(message => messages.put(message));
+}
+
+/**
+ * Write customer batches, one transaction per batch
+ * With withMessages, generated customers get their generated message history
+ */
+async function writeCustomerBatches(db, batchGenerator, totalRecords, onProgress, withMessages = false) {
   let processedCount = 0;
   
   for (const batch of batchGenerator) {
     await new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
+      const stores = withMessages ? [STORE_NAME, SEARCH_INDEX_STORE, MESSAGES_STORE] : [STORE_NAME, SEARCH_INDEX_STORE];
+      const transaction = db.transaction(stores, 'readwrite');
       
-      // Add each customer in the batch
-      batch.forEach(customer => store.put(customer));
+      // Add each customer in the batch, indexing it for search
+      batch.forEach(customer => {
+        putCustomer(transaction, customer);
+        if (withMessages) {
+          putGeneratedMessages(transaction, customer);
+        }
+      });
       
       transaction.oncomplete = () => {
         processedCount += batch.length;
@@ -74,8 +195,27 @@ export async function saveCustomerBatches(batchGenerator, totalRecords, onProgre
     // Yield to prevent blocking
     await new Promise(resolve => setTimeout(resolve, 0));
   }
+}
+
+/**
+ * Save customers in batches to IndexedDB
+ * The search index is built along with them, and generated customers
+ * (ids up to VIRTUAL_TOTAL) get their messages stored; imported ones start
+ * without messages
+ * @param {Generator} batchGenerator - Generator function yielding customer batches
+ * @param {number} totalRecords - Total number of records to save
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export async function saveCustomerBatches(batchGenerator, totalRecords, onProgress) {
+  const db = await initDB();
   
-  db.close();
+  try {
+    await loadDataset(db);
+    await writeCustomerBatches(db, batchGenerator, totalRecords, onProgress, true);
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
 }
 
 /**
@@ -96,179 +236,1332 @@ export async function hasData() {
   });
 }
 
+/**
+ * Seed the database with the generated customers of its dataset
+ * Each batch is written in one transaction together with the checkpoint
+ * (seededThrough), so seeding that was interrupted - closed tab, cancel,
+ * crash - continues after the last complete batch on the next call
+ * @param {Object} options - { batchSize }
+ * @param {Function} onProgress - Progress callback (current, total); not
+ *   called when there is nothing left to seed
+ * @param {AbortSignal} signal - Stops after the running batch
+ * @returns {Promise<Object>} Dataset { size, seed, seededThrough }
+ */
+export async function seedCustomers({ batchSize = 1000 } = {}, onProgress, signal) {
+  const db = await initDB();
+  
+  try {
+    const dataset = await loadDataset(db);
+    let { seededThrough } = dataset;
+    if (seededThrough < dataset.size && onProgress) {
+      onProgress(seededThrough, dataset.size);
+    }
+    
+    while (seededThrough < dataset.size) {
+      if (signal?.aborted) throw createAbortError();
+      
+      const end = Math.min(seededThrough + batchSize, dataset.size);
+      const batch = [];
+      for (let id = seededThrough + 1; id <= end; id++) {
+        batch.push(dataSource.generate(id));
+      }
+      
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+          [STORE_NAME, SEARCH_INDEX_STORE, MESSAGES_STORE, DATASET_STORE],
+          'readwrite'
+        );
+        
+        batch.forEach(customer => {
+          putCustomer(transaction, customer);
+          putGeneratedMessages(transaction, customer);
+        });
+        transaction.objectStore(DATASET_STORE).put({ ...dataset, seededThrough: end }, DATASET_KEY);
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+      
+      seededThrough = end;
+      if (onProgress) onProgress(seededThrough, dataset.size);
+      
+      // Yield so a cancel message gets through
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    return { ...dataset, seededThrough };
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
+}
+
+/**
+ * Get the dataset settings and how far seeding got
+ * @returns {Promise<Object>} { size, seed, seededThrough }
+ */
+export async function getDataset() {
+  const db = await initDB();
+  
+  try {
+    return await readDataset(db);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Replace all customers with a new, empty dataset
+ * Customers, tombstones, messages, uploaded pictures and the search index
+ * are cleared; saved views and preferences stay. seedCustomers then
+ * generates the new records.
+ * @param {Object} settings - { size, seed }
+ * @returns {Promise<Object>} Dataset { size, seed, seededThrough: 0 }
+ */
+export async function resetDataset({ size, seed }) {
+  if (!Number.isInteger(size) || size < 1 || size > VIRTUAL_TOTAL) {
+    throw new RangeError(`Dataset size must be a whole number from 1 to ${VIRTUAL_TOTAL}`);
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    throw new RangeError('Seed must be a whole number from 0 to 4294967295');
+  }
+  
+  const dataset = { size, seed, seededThrough: 0 };
+  const db = await initDB();
+  
+  try {
+    await new Promise((resolve, reject) => {
+      const stores = [STORE_NAME, DELETED_STORE, SEARCH_INDEX_STORE, MESSAGES_STORE, AVATARS_STORE];
+      const transaction = db.transaction([...stores, DATASET_STORE], 'readwrite');
+      
+      stores.forEach(name => transaction.objectStore(name).clear());
+      transaction.objectStore(DATASET_STORE).put(dataset, DATASET_KEY);
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    return dataset;
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
+}
+
+/**
+ * Delete the whole database, saved views and preferences included
+ * The next initDB creates it again, empty
+ * @returns {Promise<void>}
+ */
+export function clearDatabase() {
+  invalidateQueryCaches();
+  
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => databaseListener('blocked');
+  });
+}
+
 /**
  * Generate virtual customer on-the-fly (for records beyond stored data)
+ * Uses the same data source as the seeded records, so a virtual customer
+ * looks exactly like a stored one with the same id would
  * @param {number} id - Customer ID
  * @returns {Object} Virtual customer object
  */
 function generateVirtualCustomer(id) {
-  const firstNames = ['James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda'];
-  const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis'];
-  const domains = ['gmail.com', 'yahoo.com', 'outlook.com'];
-  const agents = ['Karthey Mishra', 'Agent Smith', 'Agent Jones', 'Agent Brown'];
-  
-  const firstName = firstNames[id % firstNames.length];
-  const lastName = lastNames[Math.floor(id / firstNames.length) % lastNames.length];
-  const name = `${firstName} ${lastName}`;
-  const email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}${id}@${domains[id % domains.length]}`;
-  const phone = `+1${String(id).padStart(10, '0')}`;
-  const score = (id * 7) % 100;
-  const addedBy = agents[id % agents.length];
-  const lastMessageAt = new Date(Date.now() - (id % 365) * 24 * 60 * 60 * 1000).toISOString();
-  
-  return {
-    id,
-    name,
-    phone,
-    email,
-    score,
-    lastMessageAt,
-    addedBy,
-    avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${id}`
-  };
+  return dataSource.generate(id);
 }
 
 /**
- * Get customers with pagination, search, and sorting
- * @param {Object} params - Query parameters
- * @param {number} params.offset - Starting index
- * @param {number} params.limit - Number of records to return
- * @param {string} params.search - Search term
- * @param {string} params.sortBy - Field to sort by
- * @param {string} params.sortOrder - 'asc' or 'desc'
- * @returns {Promise<Object>} { data, total, hasMore }
+ * Error used when a query is cancelled through its AbortSignal
  */
-export async function getCustomers({ 
-  offset = 0, 
-  limit = 30, 
-  search = '', 
-  sortBy = 'id', 
-  sortOrder = 'asc' 
-}) {
-  const db = await initDB();
-  const transaction = db.transaction([STORE_NAME], 'readonly');
-  const store = transaction.objectStore(STORE_NAME);
+function createAbortError() {
+  return new DOMException('Query cancelled', 'AbortError');
+}
+
+// Dataset settings, read again after every data change
+let datasetPromise = null;
+
+/**
+ * Read the dataset settings and seeding checkpoint
+ * @param {IDBDatabase} db - Database instance
+ * @returns {Promise<Object>} { size, seed, seededThrough }; a database that
+ *   was never seeded has the default settings and seededThrough 0
+ */
+function readDataset(db) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([DATASET_STORE], 'readonly').objectStore(DATASET_STORE).get(DATASET_KEY);
+    request.onsuccess = () => resolve(request.result || { ...DEFAULT_DATASET, seededThrough: 0 });
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Point storedSize and dataSource at the stored dataset settings
+ * Runs before anything reads them; getCatalog calls it first
+ * @param {IDBDatabase} db - Database instance
+ * @returns {Promise<Object>} Dataset, see readDataset
+ */
+function loadDataset(db) {
+  if (datasetPromise) return datasetPromise;
   
-  return new Promise((resolve) => {
-    // NO SEARCH: Use virtual data for instant loading
-    if (!search) {
-      const results = [];
-      const start = offset;
-      const end = Math.min(offset + limit, VIRTUAL_TOTAL);
-      
-      // Mix real and virtual data
-      for (let i = start; i < end; i++) {
-        if (i < ACTUAL_STORED) {
-          // Placeholder - will be replaced with real data
-          results.push(null);
-        } else {
-          // Generate virtual customer
-          results.push(generateVirtualCustomer(i + 1));
-        }
-      }
-      
-      // Fetch real data for the range
-      const request = store.openCursor();
-      let count = 0;
-      const realData = [];
+  datasetPromise = readDataset(db).then(dataset => {
+    if (dataset.size !== storedSize || dataset.seed !== dataSource.seed) {
+      storedSize = dataset.size;
+      dataSource = dataset.seed === defaultDataSource.seed ? defaultDataSource : createDataSource({ seed: dataset.seed });
+      virtualOrderCache.clear();
+    }
+    return dataset;
+  });
+  
+  datasetPromise.catch(() => { datasetPromise = null; });
+  return datasetPromise;
+}
+
+// Bumped on every write so results computed from older data are not cached
+let dataVersion = 0;
+
+// Catalog of stored and deleted ids, rebuilt after every data change
+let catalogPromise = null;
+
+/**
+ * Load which ids are stored and which virtual ids are hidden
+ * Stored customers past storedSize are edited virtual customers
+ * (overrides) and replace the generated record with the same id.
+ * Deleted virtual customers leave a tombstone in the deleted store.
+ * @param {IDBDatabase} db - Database instance
+ * @returns {Promise<Object>} { storedIds, excluded, excludedCount, total, maxId }
+ */
+function getCatalog(db) {
+  if (catalogPromise) return catalogPromise;
+  
+  catalogPromise = loadDataset(db).then(() => new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME, DELETED_STORE], 'readonly');
+    const storedRequest = transaction.objectStore(STORE_NAME).getAllKeys();
+    const deletedRequest = transaction.objectStore(DELETED_STORE).getAllKeys();
+    
+    transaction.onerror = () => reject(transaction.error);
+    transaction.oncomplete = () => {
+      const storedIds = Uint32Array.from(storedRequest.result);
+      const excluded = new Uint8Array(VIRTUAL_TOTAL + 1);
+      let excludedCount = 0;
       
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        
-        if (cursor && count < end) {
-          if (count >= start && count < end) {
-            realData.push(cursor.value);
-          }
-          count++;
-          cursor.continue();
-        } else {
-          // Merge real data into results
-          realData.forEach((customer, idx) => {
-            results[idx] = customer;
-          });
-          
-          // Sort if needed
-          if (sortBy !== 'id') {
-            results.sort((a, b) => {
-              let aVal = a[sortBy];
-              let bVal = b[sortBy];
-              
-              if (sortBy === 'lastMessageAt') {
-                aVal = new Date(aVal).getTime();
-                bVal = new Date(bVal).getTime();
-              }
-              
-              if (sortOrder === 'asc') {
-                return aVal > bVal ? 1 : -1;
-              } else {
-                return aVal < bVal ? 1 : -1;
-              }
-            });
-          }
-          
-          db.close();
-          resolve({
-            data: results.filter(r => r !== null),
-            total: VIRTUAL_TOTAL,
-            hasMore: end < VIRTUAL_TOTAL
-          });
+      const exclude = (id) => {
+        if (id > storedSize && id <= VIRTUAL_TOTAL && !excluded[id]) {
+          excluded[id] = 1;
+          excludedCount++;
         }
       };
+      storedIds.forEach(exclude);
+      deletedRequest.result.forEach(exclude);
       
-      return;
-    }
+      resolve({
+        storedIds,
+        excluded,
+        excludedCount,
+        total: storedIds.length + (VIRTUAL_TOTAL - storedSize) - excludedCount,
+        maxId: Math.max(VIRTUAL_TOTAL, storedIds[storedIds.length - 1] || 0)
+      });
+    };
+  }));
+  
+  catalogPromise.catch(() => { catalogPromise = null; });
+  return catalogPromise;
+}
+
+/**
+ * Check if a customer comes from the generator rather than the store
+ */
+function isGenerated(catalog, id) {
+  return id > storedSize && id <= VIRTUAL_TOTAL && !catalog.excluded[id];
+}
+
+// Virtual ids sorted ascending per field - generated data only changes with the dataset
+const virtualOrderCache = new Map();
+
+/**
+ * Get all virtual ids sorted by a field
+ * @param {string} field - Sortable field
+ * @returns {Uint32Array} Virtual ids in ascending field order
+ */
+function getVirtualOrder(field) {
+  if (!virtualOrderCache.has(field)) {
+    const count = VIRTUAL_TOTAL - storedSize;
+    const ids = new Uint32Array(count);
+    const keys = new Float64Array(count);
     
-    // WITH SEARCH: Only search real data
-    let results = [];
-    const searchLower = search.toLowerCase();
+    for (let i = 0; i < count; i++) {
+      const id = storedSize + 1 + i;
+      ids[i] = id;
+      keys[i] = dataSource.sortKey(id, field);
+    }
     
-    const request = store.openCursor();
+    virtualOrderCache.set(field, sortIdsByKey(ids, keys));
+  }
+  return virtualOrderCache.get(field);
+}
+
+/**
+ * Read stored (id, value) pairs in field order
+ * Uses the primary key for 'id' and the field's index otherwise
+ * @param {IDBDatabase} db - Database instance
+ * @param {Object} catalog - Catalog from getCatalog
+ * @param {string} field - Sortable field
+ * @returns {Promise<Object>} { ids, values }
+ */
+function getStoredOrder(db, catalog, field) {
+  if (field === 'id') {
+    return Promise.resolve({ ids: catalog.storedIds, values: catalog.storedIds });
+  }
+  
+  return new Promise((resolve, reject) => {
+    const index = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).index(field);
+    const request = index.openKeyCursor();
+    const ids = [];
+    const values = [];
     
+    request.onerror = () => reject(request.error);
     request.onsuccess = (event) => {
       const cursor = event.target.result;
       
       if (cursor) {
-        const customer = cursor.value;
-        
-        // Check if customer matches search
-        const matches = 
-          customer.name.toLowerCase().includes(searchLower) ||
-          customer.email.toLowerCase().includes(searchLower) ||
-          customer.phone.includes(search);
-        
-        if (matches) {
-          results.push(customer);
-        }
-        
+        values.push(cursor.key);
+        ids.push(cursor.primaryKey);
         cursor.continue();
       } else {
-        // Sort results
-        results.sort((a, b) => {
-          let aVal = a[sortBy];
-          let bVal = b[sortBy];
-          
-          if (sortBy === 'lastMessageAt') {
-            aVal = new Date(aVal).getTime();
-            bVal = new Date(bVal).getTime();
-          }
-          
-          if (sortOrder === 'asc') {
-            return aVal > bVal ? 1 : -1;
-          } else {
-            return aVal < bVal ? 1 : -1;
-          }
-        });
-        
-        // Paginate results
-        const paginated = results.slice(offset, offset + limit);
-        
-        db.close();
-        resolve({
-          data: paginated,
-          total: results.length,
-          hasMore: results.length > offset + limit
-        });
+        resolve({ ids, values });
+      }
+    };
+  });
+}
+
+// Merged stored + virtual order per field, rebuilt when stored data changes
+const sortIndexCache = new Map();
+
+/**
+ * Get the global sort index for a field
+ * @param {IDBDatabase} db - Database instance
+ * @param {string} field - Sortable field ('id' for natural order)
+ * @returns {Promise<Object>} Sort index (see utils/sortIndex.js)
+ */
+function getSortIndex(db, field) {
+  if (sortIndexCache.has(field)) {
+    return sortIndexCache.get(field);
+  }
+  
+  const promise = (async () => {
+    const catalog = await getCatalog(db);
+    const stored = await getStoredOrder(db, catalog, field);
+    
+    let virtualIds = getVirtualOrder(field);
+    if (catalog.excludedCount > 0) {
+      virtualIds = virtualIds.filter(id => !catalog.excluded[id]);
+    }
+    
+    return createSortIndex({
+      virtualIds,
+      virtualValue: id => generateVirtualCustomer(id)[field],
+      virtualKey: id => dataSource.sortKey(id, field),
+      storedIds: stored.ids,
+      storedValues: stored.values
+    });
+  })();
+  
+  promise.catch(() => sortIndexCache.delete(field));
+  sortIndexCache.set(field, promise);
+  return promise;
+}
+
+// Rank of every id per field, for secondary sort keys; rebuilt with the sort indexes
+const sortRanksCache = new Map();
+
+/**
+ * Get the value rank of every id for a field (see sortIndex.getRanks)
+ * @param {IDBDatabase} db - Database instance
+ * @param {string} field - Sortable field
+ * @returns {Promise<Uint32Array>} ranks[id]
+ */
+function getSortRanks(db, field) {
+  if (!sortRanksCache.has(field)) {
+    const promise = (async () => {
+      const catalog = await getCatalog(db);
+      const sortIndex = await getSortIndex(db, field);
+      return sortIndex.getRanks(catalog.maxId + 1);
+    })();
+    
+    promise.catch(() => sortRanksCache.delete(field));
+    sortRanksCache.set(field, promise);
+  }
+  return sortRanksCache.get(field);
+}
+
+// Ids matching the last search/filter query, reused while paging through it,
+// with the relevance of each id to the search text (null without text)
+let matchingIdsCache = { key: null, ids: null, relevance: null };
+
+/**
+ * Match text terms against the virtual range
+ * @param {Array<Object>} terms - Filter terms { field, value, negate }
+ * @returns {Array<Object>} { matches, negate } per term, matches indexed by id
+ */
+function matchVirtualTerms(terms) {
+  const layout = { from: storedSize + 1, to: VIRTUAL_TOTAL, ...dataSource.dictionaries };
+  return terms.map(({ field, value, negate }) => ({
+    matches: field === 'domain'
+      ? matchVirtualDomain(value, layout)
+      : searchVirtualRange(value, layout, [field]),
+    negate
+  }));
+}
+
+// Distinct words of the search index, read once per data version
+let vocabularyPromise = null;
+
+/**
+ * Distinct letter words of the search index (see readVocabulary)
+ * @param {IDBDatabase} db - Database instance
+ * @returns {Promise<Array<string>>} Words in order
+ */
+function getVocabulary(db) {
+  if (vocabularyPromise) return vocabularyPromise;
+  
+  const store = db.transaction([SEARCH_INDEX_STORE], 'readonly').objectStore(SEARCH_INDEX_STORE);
+  vocabularyPromise = readVocabulary(store);
+  vocabularyPromise.catch(() => { vocabularyPromise = null; });
+  return vocabularyPromise;
+}
+
+/**
+ * Stored customers that may match search text, looked up in the search index
+ * @param {IDBDatabase} db - Database instance
+ * @param {string} text - Search text
+ * @param {Array<string>} vocabulary - Distinct words of the index
+ * @returns {Promise<Array<Object>|null>} Candidate customers in id order, or
+ *   null when the text has no words to look up and every customer is a candidate
+ */
+async function readSearchCandidates(db, text, vocabulary) {
+  const transaction = db.transaction([SEARCH_INDEX_STORE, STORE_NAME], 'readonly');
+  const ids = await findCandidates(transaction.objectStore(SEARCH_INDEX_STORE), text, vocabulary);
+  if (!ids) return null;
+  if (ids.length === 0) return [];
+  
+  const customers = await readStoredCustomers(transaction.objectStore(STORE_NAME), ids);
+  return [...customers.values()];
+}
+
+/**
+ * Visit every stored customer in id order
+ * @param {IDBDatabase} db - Database instance
+ * @param {Function} visit - Called with each customer
+ * @param {AbortSignal} signal - Stops the scan when aborted
+ * @returns {Promise<void>} Resolves after the last customer
+ */
+function scanStoredCustomers(db, visit, signal) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const request = transaction.objectStore(STORE_NAME).openCursor();
+    
+    request.onerror = () => reject(request.error);
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      if (!cursor) {
+        resolve();
+        return;
       }
+      visit(cursor.value);
+      cursor.continue();
     };
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Collect ids of all customers (stored and virtual) matching search and filters
+ * The search may use the query language (queryLanguage.js); its clauses are
+ * applied as a second set of filters and its text is matched fuzzily
+ * (fuzzySearch.js). Stored customers matching the text are looked up in the
+ * search index (searchIndex.js) and checked in full; without text they are
+ * scanned. Virtual ones are scored without generating them and checked
+ * against the filters from cheap fields only
+ * @param {IDBDatabase} db - Database instance
+ * @param {string} search - Search box text ('' for none)
+ * @param {Object|null} filters - Active filters or null
+ * @param {AbortSignal} signal - Stops the scan when aborted
+ * @returns {Promise<Uint32Array>} Matching ids, stored first
+ */
+async function getMatchingIds(db, search, filters, signal) {
+  // Relative presets move with the clock, so the cache is per minute
+  const now = Date.now();
+  const key = `${dataVersion}|${search}|${JSON.stringify(filters)}|${Math.floor(now / 60000)}`;
+  if (matchingIdsCache.key === key) {
+    return matchingIdsCache.ids;
+  }
+  
+  const catalog = await getCatalog(db);
+  const query = resolveSearch(search, { agents: dataSource.dictionaries.agents });
+  const predicate = filters && createFilterPredicate(filters, now);
+  const queryPredicate = query.filters && createFilterPredicate(query.filters, now);
+  const text = query.text.trim() ? query.text : '';
+  const matchText = text && createTextMatcher(text);
+  const relevance = text ? new Float32Array(catalog.maxId + 1) : null;
+  const storedIds = [];
+  
+  const checkStored = (customer) => {
+    const score = matchText ? matchText(customer) : 1;
+    
+    if (score > 0 && (!predicate || predicate(customer)) && (!queryPredicate || queryPredicate(customer))) {
+      storedIds.push(customer.id);
+      if (relevance) relevance[customer.id] = score;
+    }
+  };
+  
+  const candidates = text ? await readSearchCandidates(db, text, await getVocabulary(db)) : null;
+  if (signal?.aborted) throw createAbortError();
+  
+  if (candidates) {
+    candidates.forEach(checkStored);
+  } else {
+    await scanStoredCustomers(db, checkStored, signal);
+  }
+  
+  // Evaluate the virtual range
+  const searched = text && scoreVirtualRange(text, {
+    from: storedSize + 1,
+    to: VIRTUAL_TOTAL,
+    ...dataSource.dictionaries
+  });
+  // Text terms are matched above; the rest only needs the cheap fields
+  const terms = query.filters ? matchVirtualTerms(query.filters.terms) : [];
+  const cheapPredicate = query.filters && createFilterPredicate({ ...query.filters, terms: [] }, now);
+  const ids = new Uint32Array(catalog.total);
+  ids.set(storedIds);
+  let count = storedIds.length;
+  
+  for (let id = storedSize + 1; id <= VIRTUAL_TOTAL; id++) {
+    if (catalog.excluded[id]) continue;
+    if (searched && !searched[id]) continue;
+    if (terms.some(term => !term.matches[id] !== term.negate)) continue;
+    if (predicate || cheapPredicate) {
+      const fields = dataSource.filterFields(id);
+      if (predicate && !predicate(fields)) continue;
+      if (cheapPredicate && !cheapPredicate(fields)) continue;
+    }
+    ids[count++] = id;
+    if (relevance) relevance[id] = searched[id];
+  }
+  
+  matchingIdsCache = { key, ids: ids.slice(0, count), relevance };
+  return matchingIdsCache.ids;
+}
+
+// Matching ids put into a sort order, reused while paging through it
+let sortedMatchingCache = { key: null, ids: null };
+
+/**
+ * Collect ids matching search and filters in global sort order
+ * The last sort key orders the ids through its sort index; every earlier
+ * key is then applied with a stable sort on value ranks, so ties of the
+ * primary key keep the order of the secondary one, and so on. The
+ * 'relevance' key sorts by the search relevance of the matching ids, which
+ * has no index, so when it is the last key the ids start out in id order.
+ * @param {IDBDatabase} db - Database instance
+ * @param {string} search - Search term ('' for none)
+ * @param {Object|null} filters - Active filters or null
+ * @param {Array<Object>} sort - Sort keys { field, order }
+ * @param {AbortSignal} signal - Cancels the query
+ * @returns {Promise<Uint32Array>} Matching ids in sort order
+ */
+async function getSortedMatchingIds(db, search, filters, sort, signal) {
+  const ids = await getMatchingIds(db, search, filters, signal);
+  const { relevance } = matchingIdsCache;
+  
+  const key = `${matchingIdsCache.key}|${JSON.stringify(sort)}`;
+  if (sortedMatchingCache.key !== key) {
+    const last = sort[sort.length - 1];
+    let sorted;
+    let next = sort.length - 2;
+    
+    if (last.field === 'relevance') {
+      sorted = Uint32Array.from(ids).sort();
+      next = sort.length - 1;
+    } else {
+      const catalog = await getCatalog(db);
+      const sortIndex = await getSortIndex(db, last.field);
+      const selected = new Uint8Array(catalog.maxId + 1);
+      ids.forEach(id => { selected[id] = 1; });
+      sorted = sortIndex.filterIds(selected, ids.length, last.order);
+    }
+    
+    for (let k = next; k >= 0; k--) {
+      const { field, order } = sort[k];
+      const ranks = field === 'relevance' ? relevance : await getSortRanks(db, field);
+      if (signal?.aborted) throw createAbortError();
+      // Without search text every id is equally relevant
+      if (!ranks) continue;
+      
+      const keys = new Float64Array(sorted.length);
+      for (let i = 0; i < sorted.length; i++) {
+        keys[i] = order === 'desc' ? -ranks[sorted[i]] : ranks[sorted[i]];
+      }
+      sorted = sortIdsByKey(sorted, keys);
+    }
+    
+    sortedMatchingCache = { key, ids: sorted };
+  }
+  return sortedMatchingCache.ids;
+}
+
+/**
+ * Forget everything derived from stored data
+ * Called after each write so the next query sees the change, and when
+ * another tab wrote customers
+ */
+export function invalidateQueryCaches() {
+  dataVersion++;
+  catalogPromise = null;
+  sortIndexCache.clear();
+  sortRanksCache.clear();
+  matchingIdsCache = { key: null, ids: null, relevance: null };
+  sortedMatchingCache = { key: null, ids: null };
+  vocabularyPromise = null;
+  datasetPromise = null;
+}
+
+// Ids further apart than this start a new key range when reading stored customers
+const MAX_RANGE_GAP = 8;
+
+/**
+ * Read stored customers by id
+ * Close ids are grouped into key ranges and read with one getAll() each,
+ * so an id-ordered page costs one request instead of one get() per row
+ * @param {IDBObjectStore} store - Customers store
+ * @param {Array<number>} ids - Stored customer ids
+ * @returns {Promise<Map>} Customer by id
+ */
+function readStoredCustomers(store, ids) {
+  const sorted = [...ids].sort((a, b) => a - b);
+  const ranges = [];
+  
+  sorted.forEach(id => {
+    const last = ranges[ranges.length - 1];
+    if (last && id - last.upper <= MAX_RANGE_GAP) {
+      last.upper = id;
+    } else {
+      ranges.push({ lower: id, upper: id });
+    }
+  });
+  
+  return Promise.all(ranges.map(({ lower, upper }) => new Promise((resolve, reject) => {
+    const request = lower === upper
+      ? store.get(lower)
+      : store.getAll(IDBKeyRange.bound(lower, upper));
+    request.onsuccess = () => resolve(lower === upper ? [request.result] : request.result);
+    request.onerror = () => reject(request.error);
+  }))).then(results => {
+    const customers = new Map();
+    results.flat().forEach(customer => customer && customers.set(customer.id, customer));
+    return customers;
+  });
+}
+
+/**
+ * Load customers by id, reading stored ones from the store
+ * @param {IDBDatabase} db - Database instance
+ * @param {ArrayLike<number>} ids - Customer ids
+ * @returns {Promise<Array>} Customers in the same order as ids
+ */
+async function readCustomers(db, ids) {
+  const catalog = await getCatalog(db);
+  const store = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+  const storedIds = Array.from(ids).filter(id => !isGenerated(catalog, id));
+  const stored = storedIds.length > 0 ? await readStoredCustomers(store, storedIds) : null;
+  
+  return Array.from(ids, id => (
+    isGenerated(catalog, id) ? generateVirtualCustomer(id) : stored.get(id)
+  ));
+}
+
+/**
+ * Resolve a query to ids in display order
+ * @param {IDBDatabase} db - Database instance
+ * @param {Object} params - Same query parameters as getCustomers
+ * @returns {Promise<Object>} { ids, total }
+ */
+async function queryIds(db, { offset, limit, search, sort, filters, signal }) {
+  const activeFilters = hasActiveFilters(filters) ? normalizeFilters(filters) : null;
+  
+  // SEARCH, FILTERS, SEVERAL SORT KEYS OR RELEVANCE: Page through the matching ids in sort order
+  if (search || activeFilters || sort.length > 1 || sort[0].field === 'relevance') {
+    const ids = await getSortedMatchingIds(db, search, activeFilters, sort, signal);
+    return { ids: ids.subarray(offset, offset + limit), total: ids.length };
+  }
+  
+  // EVERYTHING BY ONE KEY: Read the page straight from the global order
+  const [{ field, order }] = sort;
+  const sortIndex = await getSortIndex(db, field);
+  return { ids: sortIndex.getIds(offset, limit, order), total: sortIndex.total };
+}
+
+/**
+ * Get customers with pagination, search, filters and sorting
+ * @param {Object} params - Query parameters
+ * @param {number} params.offset - Starting index
+ * @param {number} params.limit - Number of records to return
+ * @param {string} params.search - Search term, plain text or a query (see queryLanguage.js)
+ * @param {Array<Object>} params.sort - Sort keys in priority order, e.g.
+ *   [{ field: 'addedBy', order: 'asc' }, { field: 'score', order: 'desc' }]
+ * @param {string} params.sortBy - Single-key shorthand for sort: field to sort by
+ * @param {string} params.sortOrder - Single-key shorthand for sort: 'asc' or 'desc'
+ * @param {Object} params.filters - Structured filters (see utils/filters.js)
+ * @param {AbortSignal} params.signal - Cancels the query (rejects with an AbortError)
+ * @returns {Promise<Object>} { data, total, hasMore }
+ */
+export async function getCustomers({ 
+  offset = 0, 
+  limit = 30, 
+  search = '', 
+  sort = null,
+  sortBy = 'id', 
+  sortOrder = 'asc',
+  filters = null,
+  signal = null
+}) {
+  const db = await initDB();
+  
+  try {
+    const keys = normalizeSort(sort || { sortBy, sortOrder });
+    const { ids, total } = await queryIds(db, { offset, limit, search, sort: keys, filters, signal });
+    if (signal?.aborted) throw createAbortError();
+    
+    return {
+      data: await readCustomers(db, ids),
+      total,
+      hasMore: offset + limit < total
+    };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Get only the ids of a query, without loading records
+ * Used to select ranges or every matching customer
+ * @param {Object} params - Same as getCustomers; limit defaults to all rows
+ * @returns {Promise<Object>} { ids, total }
+ */
+export async function getCustomerIds({
+  offset = 0,
+  limit = Infinity,
+  search = '',
+  sort = null,
+  sortBy = 'id',
+  sortOrder = 'asc',
+  filters = null,
+  signal = null
+}) {
+  const db = await initDB();
+  
+  try {
+    const keys = normalizeSort(sort || { sortBy, sortOrder });
+    return await queryIds(db, { offset, limit, search, sort: keys, filters, signal });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load customers by id
+ * @param {ArrayLike<number>} ids - Customer ids
+ * @returns {Promise<Array>} Customers in the same order as ids
+ */
+export async function getCustomersByIds(ids) {
+  const db = await initDB();
+  const customers = await readCustomers(db, ids);
+  
+  db.close();
+  return customers;
+}
+
+/**
+ * Run a write over ids in batches of 1000, one transaction per batch
+ * @param {ArrayLike<number>} ids - Customer ids
+ * @param {Function} writeBatch - (db, batchIds) => Promise
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+async function writeInBatches(ids, writeBatch, onProgress) {
+  const db = await initDB();
+  const BATCH_SIZE = 1000;
+  
+  try {
+    for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+      const batch = Array.from(ids.slice(start, start + BATCH_SIZE));
+      await writeBatch(db, batch);
+      
+      if (onProgress) {
+        onProgress(Math.min(start + BATCH_SIZE, ids.length), ids.length);
+      }
+      
+      // Yield to prevent blocking
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
+}
+
+/**
+ * Apply the same changes to many customers
+ * Virtual customers are stored as overrides of their generated record
+ * @param {ArrayLike<number>} ids - Customer ids
+ * @param {Object} changes - Fields to overwrite, e.g. { addedBy }
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export function updateCustomers(ids, changes, onProgress) {
+  return writeInBatches(ids, async (db, batch) => {
+    const customers = await readCustomers(db, batch);
+    
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, SEARCH_INDEX_STORE], 'readwrite');
+      
+      customers.forEach(customer => customer && putCustomer(transaction, { ...customer, ...changes }));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }, onProgress);
+}
+
+/**
+ * Delete customers
+ * Virtual customers get a tombstone so they are not generated again
+ * @param {ArrayLike<number>} ids - Customer ids
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export function deleteCustomers(ids, onProgress) {
+  return writeInBatches(ids, async (db, batch) => {
+    await loadDataset(db);
+    
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        [STORE_NAME, DELETED_STORE, SEARCH_INDEX_STORE, MESSAGES_STORE, AVATARS_STORE],
+        'readwrite'
+      );
+      const deleted = transaction.objectStore(DELETED_STORE);
+      
+      batch.forEach(id => {
+        removeCustomer(transaction, id);
+        if (id > storedSize && id <= VIRTUAL_TOTAL) {
+          deleted.put({ id });
+        }
+      });
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }, onProgress);
+}
+
+/**
+ * Add a new customer
+ * New customers get ids after every stored and virtual id, so they never
+ * collide with generated records and sort last by id. The id is read in
+ * the transaction that adds the customer (see readNextCustomerId).
+ * @param {Object} fields - { name, phone, email, score, addedBy }
+ * @returns {Promise<Object>} The stored customer
+ */
+export async function createCustomer(fields) {
+  const db = await initDB();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, SEARCH_INDEX_STORE], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      let customer;
+      
+      readNextCustomerId(store, id => {
+        customer = {
+          id,
+          ...fields,
+          lastMessageAt: new Date().toISOString(),
+          avatar: null
+        };
+        store.add(customer);
+        updateIndexEntries(transaction.objectStore(SEARCH_INDEX_STORE), undefined, customer);
+      });
+      
+      transaction.oncomplete = () => resolve(customer);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
+}
+
+/**
+ * Edit one customer
+ * @param {number} id - Customer ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} The updated customer
+ */
+export async function updateCustomer(id, changes) {
+  await updateCustomers([id], changes);
+  const [customer] = await getCustomersByIds([id]);
+  return customer;
+}
+
+/**
+ * Delete one customer
+ * @param {number} id - Customer ID
+ */
+export function deleteCustomer(id) {
+  return deleteCustomers([id]);
+}
+
+/**
+ * Upload or remove a customer's picture
+ * Each upload is stored under a new key, so a cached copy of the previous
+ * picture is never shown again; the previous blob is deleted
+ * @param {number} id - Customer ID
+ * @param {Blob|null} blob - Image, or null to go back to initials
+ * @returns {Promise<Object>} The updated customer
+ */
+export async function setCustomerAvatar(id, blob) {
+  const db = await initDB();
+  
+  try {
+    const [customer] = await readCustomers(db, [id]);
+    if (!customer) {
+      throw new Error(`Customer #${id} not found`);
+    }
+    const updated = { ...customer, avatar: blob ? `${id}-${Date.now().toString(36)}` : null };
+    
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, SEARCH_INDEX_STORE, AVATARS_STORE], 'readwrite');
+      const avatars = transaction.objectStore(AVATARS_STORE);
+      
+      if (customer.avatar) {
+        avatars.delete(customer.avatar);
+      }
+      if (blob) {
+        avatars.put({ id: updated.avatar, customerId: id, blob, uploadedAt: new Date().toISOString() });
+      }
+      putCustomer(transaction, updated);
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    return updated;
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
+}
+
+/**
+ * Read an uploaded picture
+ * @param {string} key - Value of customer.avatar
+ * @returns {Promise<Blob|null>} Image, null when it does not exist
+ */
+export async function getAvatar(key) {
+  const db = await initDB();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction([AVATARS_STORE], 'readonly').objectStore(AVATARS_STORE).get(key);
+      request.onsuccess = () => resolve(request.result?.blob ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Messages exchanged with a customer, oldest first
+ * Stored messages are read by customer id. Customers without stored
+ * messages that come from the generator (generated ones, and ones stored
+ * before messages were) get their generated history.
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Array>} Messages { id, customerId, direction, text, agent, sentAt }
+ */
+export async function getCustomerMessages(customerId) {
+  const db = await initDB();
+  
+  try {
+    await loadDataset(db);
+    const stored = await new Promise((resolve, reject) => {
+      const request = db.transaction([MESSAGES_STORE], 'readonly')
+        .objectStore(MESSAGES_STORE)
+        .index('customerId')
+        .getAll(customerId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    if (stored.length === 0 && customerId <= VIRTUAL_TOTAL) {
+      return dataSource.messages(customerId);
+    }
+    return stored.sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Monthly score history of a customer
+ * Comes from the generator of the current dataset, so it follows its seed
+ * @param {Object} customer - { id, score }
+ * @returns {Promise<Array>} { date, score } points, oldest first, ending at the current score
+ */
+export async function getScoreHistory({ id, score }) {
+  const db = await initDB();
+
+  try {
+    await loadDataset(db);
+    return dataSource.scoreHistory(id, score);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Find a generated customer with the same phone or email
+ * Generated phones and emails embed the id, so the candidate id is read
+ * back from the value and compared with the generated record
+ * @param {Object} catalog - Catalog from getCatalog
+ * @param {Object} customer - { phone, email }
+ * @returns {Object|null} { id, field } of the duplicate
+ */
+function findGeneratedDuplicate(catalog, { phone, email }) {
+  const prefix = `+${dataSource.dictionaries.countryCode}`;
+  const phoneId = phone.startsWith(prefix) ? Number(phone.slice(prefix.length)) : NaN;
+  const emailId = Number(/(\d+)@/.exec(email)?.[1]);
+  
+  for (const id of [phoneId, emailId]) {
+    if (!Number.isInteger(id) || !isGenerated(catalog, id)) continue;
+    
+    const generated = generateVirtualCustomer(id);
+    if (generated.phone === phone) return { id, field: 'phone' };
+    if (generated.email === email) return { id, field: 'email' };
+  }
+  return null;
+}
+
+/**
+ * Look up existing customers with the same phone or email
+ * Stored customers are found through the phone/email indexes,
+ * generated ones by recomputing their record
+ * @param {Array} customers - Customers to check ({ phone, email })
+ * @returns {Promise<Array>} Per customer, { id, field } of a duplicate or null
+ */
+export async function findDuplicateCustomers(customers) {
+  const db = await initDB();
+  const catalog = await getCatalog(db);
+  const store = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+  
+  const lookup = (indexName, value) => new Promise((resolve, reject) => {
+    const request = store.index(indexName).getKey(value);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  // Issue every lookup up front so the transaction stays active
+  const results = await Promise.all(customers.map(customer => Promise.all([
+    lookup('phone', customer.phone),
+    lookup('email', customer.email)
+  ])));
+  
+  db.close();
+  return results.map(([phoneId, emailId], index) => {
+    if (phoneId !== undefined) return { id: phoneId, field: 'phone' };
+    if (emailId !== undefined) return { id: emailId, field: 'email' };
+    return findGeneratedDuplicate(catalog, customers[index]);
+  });
+}
+
+/**
+ * Add new customers in batches, one transaction per batch
+ * Each batch reads the highest stored id and adds its customers after it
+ * (and after every virtual id) in the same transaction, so ids never clash
+ * with customers another tab creates meanwhile; add() fails the batch
+ * instead of overwriting a record
+ * @param {Array<Array>} batches - Batches of customers without ids
+ * @param {number} totalRecords - Total number of records to add
+ * @param {Function} onProgress - Progress callback (current, total)
+ */
+export async function addCustomerBatches(batches, totalRecords, onProgress) {
+  const db = await initDB();
+  let processedCount = 0;
+  
+  try {
+    for (const batch of batches) {
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, SEARCH_INDEX_STORE], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        
+        readNextCustomerId(store, firstId => {
+          batch.forEach((fields, index) => {
+            const customer = { id: firstId + index, ...fields, avatar: null };
+            store.add(customer);
+            updateIndexEntries(transaction.objectStore(SEARCH_INDEX_STORE), undefined, customer);
+          });
+        });
+        
+        transaction.oncomplete = () => {
+          processedCount += batch.length;
+          if (onProgress) {
+            onProgress(processedCount, totalRecords);
+          }
+          resolve();
+        };
+        
+        transaction.onerror = () => reject(transaction.error);
+      });
+      
+      // Yield to prevent blocking
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } finally {
+    invalidateQueryCaches();
+    db.close();
+  }
+}
+
+/**
+ * Get all saved views, oldest first
+ * @returns {Promise<Array>} Views { id, name, search, sort, filters, columns, createdAt }
+ */
+export async function getSavedViews() {
+  const db = await initDB();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction([VIEWS_STORE], 'readonly').objectStore(VIEWS_STORE).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Add or update a saved view
+ * Views without an id are added and get a new one
+ * @param {Object} view - View to store
+ * @returns {Promise<Object>} The stored view, with its id
+ */
+export async function saveView(view) {
+  const db = await initDB();
+  
+  try {
+    const id = await new Promise((resolve, reject) => {
+      const request = db.transaction([VIEWS_STORE], 'readwrite').objectStore(VIEWS_STORE).put(view);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return { ...view, id };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete a saved view
+ * @param {number} id - View ID
+ */
+export async function deleteView(id) {
+  const db = await initDB();
+  
+  try {
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([VIEWS_STORE], 'readwrite');
+      transaction.objectStore(VIEWS_STORE).delete(id);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Get a user's preferences
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { userId, ... } or null when nothing was saved
+ */
+export async function getPreferences(userId) {
+  const db = await initDB();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction([PREFERENCES_STORE], 'readonly').objectStore(PREFERENCES_STORE).get(userId);
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Merge changes into a user's preferences
+ * @param {string} userId - User ID
+ * @param {Object} changes - Preferences to overwrite
+ * @returns {Promise<Object>} The stored preferences
+ */
+export async function savePreferences(userId, changes) {
+  const db = await initDB();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([PREFERENCES_STORE], 'readwrite');
+      const store = transaction.objectStore(PREFERENCES_STORE);
+      let preferences;
+      
+      const request = store.get(userId);
+      request.onsuccess = () => {
+        preferences = { ...request.result, ...changes, userId };
+        store.put(preferences);
+      };
+      transaction.oncomplete = () => resolve(preferences);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Scratch database for benchmarkSearch, kept between runs
+const SEARCH_BENCHMARK_DB = 'DoubleTick-search-benchmark';
+
+/**
+ * Batches of generated customers with ids from..to
+ */
+function* generateRange(from, to, batchSize = 1000) {
+  for (let start = from; start <= to; start += batchSize) {
+    const batch = [];
+    for (let id = start; id <= Math.min(start + batchSize - 1, to); id++) {
+      batch.push(dataSource.generate(id));
+    }
+    yield batch;
+  }
+}
+
+/**
+ * Bring the benchmark database to exactly `size` stored customers
+ * Only missing customers are written, through the same path as
+ * saveCustomerBatches, so the index is built the same way
+ */
+async function fillSearchBenchmark(db, size, onProgress) {
+  const stored = await new Promise((resolve, reject) => {
+    const request = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).count();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  let from = stored + 1;
+  
+  if (stored > size) {
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, SEARCH_INDEX_STORE], 'readwrite');
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.objectStore(SEARCH_INDEX_STORE).clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    from = 1;
+  }
+  
+  await writeCustomerBatches(db, generateRange(from, size), size - from + 1, (done) => {
+    if (onProgress) onProgress(from - 1 + done, size);
+  });
+}
+
+/**
+ * Count stored customers matching search text, through the index when the
+ * text has words to look up
+ */
+async function countStoredMatches(db, text, vocabulary) {
+  const matchText = createTextMatcher(text);
+  const candidates = await readSearchCandidates(db, text, vocabulary);
+  let count = 0;
+  
+  if (candidates) {
+    candidates.forEach(customer => matchText(customer) > 0 && count++);
+  } else {
+    await scanStoredCustomers(db, customer => matchText(customer) > 0 && count++);
+  }
+  return count;
+}
+
+/**
+ * Measure search latency over large numbers of stored customers
+ * Times the stored part of a search in a scratch database filled to each
+ * size: "cold" opens a new connection and reads the index vocabulary
+ * before searching, "warm" repeats the search with both kept, "scan" is
+ * the full scan the index replaces
+ * @param {Object} options - Benchmark options
+ * @param {Array<number>} options.sizes - Stored customer counts, e.g. [100000, 1000000]
+ * @param {Array<string>} options.terms - Search texts
+ * @param {number} options.runs - Warm runs per term
+ * @param {Function} onProgress - Fill progress callback (current, total)
+ * @returns {Promise<Array>} Rows of { rows, term, matches, coldMs, warmMs, scanMs },
+ *   warmMs holding one time per run
+ */
+export async function benchmarkSearch({
+  sizes = [100000, 1000000],
+  terms = ['smith', 'jonh smtih', 'gmal', '555'],
+  runs = 5
+} = {}, onProgress) {
+  const results = [];
+  const time = async (task) => {
+    const start = performance.now();
+    const result = await task();
+    return { ms: performance.now() - start, result };
+  };
+  
+  for (const size of sizes) {
+    const db = await initDB(SEARCH_BENCHMARK_DB);
+    try {
+      await fillSearchBenchmark(db, size, onProgress);
+    } finally {
+      db.close();
+    }
+    
+    for (const term of terms) {
+      const cold = await time(async () => {
+        const connection = await initDB(SEARCH_BENCHMARK_DB);
+        const store = connection.transaction([SEARCH_INDEX_STORE], 'readonly').objectStore(SEARCH_INDEX_STORE);
+        const vocabulary = await readVocabulary(store);
+        const matches = await countStoredMatches(connection, term, vocabulary);
+        return { connection, vocabulary, matches };
+      });
+      const { connection, vocabulary, matches } = cold.result;
+      
+      try {
+        const warmMs = [];
+        for (let run = 0; run < runs; run++) {
+          warmMs.push((await time(() => countStoredMatches(connection, term, vocabulary))).ms);
+        }
+        
+        const matchText = createTextMatcher(term);
+        const scan = await time(() => scanStoredCustomers(connection, customer => matchText(customer)));
+        
+        results.push({ rows: size, term, matches, coldMs: cold.ms, warmMs, scanMs: scan.ms });
+      } finally {
+        connection.close();
+      }
+    }
+  }
+  
+  return results;
+}
@@ -0,0 +1,199 @@
+// src/utils/migrations.js
+
+/**
+ * IndexedDB schema migrations
+ * Each step upgrades the database from `version - 1` to `version`. initDB
+ * runs the missing steps in order from onupgradeneeded, inside the version
+ * change transaction, so a failing step aborts the whole upgrade and leaves
+ * the database at its previous version.
+ *
+ * Steps describe history: never edit a released step, add a new one and
+ * raise the version instead. Store names are spelled out for the same reason.
+ */
+
+import { rebuildSearchIndex } from './searchIndex';
+
+/**
+ * Ordered upgrade steps
+ * upgrade({ db, transaction }) may change the schema synchronously and may
+ * return a promise for data transforms (see transformRecords)
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Customers store with search and sort indexes',
+    upgrade: ({ db }) => {
+      const store = db.createObjectStore('customers', { keyPath: 'id' });
+      store.createIndex('name', 'name', { unique: false });
+      store.createIndex('email', 'email', { unique: false });
+      store.createIndex('phone', 'phone', { unique: false });
+      store.createIndex('score', 'score', { unique: false });
+      store.createIndex('lastMessageAt', 'lastMessageAt', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Tombstones for deleted generated customers',
+    upgrade: ({ db }) => {
+      db.createObjectStore('deletedCustomers', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 3,
+    description: 'Saved views',
+    upgrade: ({ db }) => {
+      db.createObjectStore('savedViews', { keyPath: 'id', autoIncrement: true });
+    }
+  },
+  {
+    version: 4,
+    description: 'Per-user preferences',
+    upgrade: ({ db }) => {
+      db.createObjectStore('preferences', { keyPath: 'userId' });
+    }
+  },
+  {
+    version: 5,
+    description: 'Sort by agent; saved views keep a list of sort keys',
+    upgrade: ({ transaction }) => {
+      transaction.objectStore('customers').createIndex('addedBy', 'addedBy', { unique: false });
+
+      return transformRecords(transaction.objectStore('savedViews'), ({ sortBy, sortOrder, ...view }) => ({
+        ...view,
+        sort: view.sort || [{ field: sortBy || 'id', order: sortOrder === 'desc' ? 'desc' : 'asc' }]
+      }));
+    }
+  },
+  {
+    version: 6,
+    description: 'Search index over stored customers',
+    // Entries follow the tokenizer in searchIndex.js; changing it needs a
+    // new step that rebuilds the index
+    upgrade: ({ db, transaction }) => {
+      db.createObjectStore('searchIndex');
+      return rebuildSearchIndex(transaction);
+    }
+  },
+  {
+    version: 7,
+    description: 'Messages by customer',
+    // Customers stored before this version have no stored messages; their
+    // history is generated when it is read, as for generated customers
+    upgrade: ({ db }) => {
+      const store = db.createObjectStore('messages', { keyPath: 'id' });
+      store.createIndex('customerId', 'customerId', { unique: false });
+    }
+  },
+  {
+    version: 8,
+    description: 'Uploaded avatars; customers no longer link to DiceBear',
+    upgrade: ({ db, transaction }) => {
+      db.createObjectStore('avatars', { keyPath: 'id' });
+
+      return transformRecords(transaction.objectStore('customers'), customer => ({
+        ...customer,
+        avatar: typeof customer.avatar === 'string' && customer.avatar.startsWith('http') ? null : customer.avatar
+      }));
+    }
+  },
+  {
+    version: 9,
+    description: 'Dataset settings and seeding checkpoint',
+    upgrade: ({ db, transaction }) => {
+      db.createObjectStore('dataset');
+
+      // Earlier versions always seeded 10,000 records with seed 0, in id order,
+      // so the highest id up to 10,000 is how far seeding got
+      return new Promise((resolve, reject) => {
+        const request = transaction.objectStore('customers').openKeyCursor(IDBKeyRange.upperBound(10000), 'prev');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const seededThrough = request.result ? request.result.key : 0;
+          if (seededThrough > 0) {
+            transaction.objectStore('dataset').put({ size: 10000, seed: 0, seededThrough }, 'current');
+          }
+          resolve();
+        };
+      });
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Rewrite every record of a store in batches
+ * Records are read with getAll in key order, batchSize at a time, so memory
+ * stays bounded however large the store is
+ * @param {IDBObjectStore} store - Store of the running transaction
+ * @param {Function} transform - record => new record, or null to delete it
+ * @param {Object} options - { batchSize, onProgress(done) }
+ * @returns {Promise<number>} Number of records visited
+ */
+export function transformRecords(store, transform, { batchSize = 1000, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    let done = 0;
+
+    const readBatch = (range) => {
+      const request = store.getAll(range, batchSize);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const records = request.result;
+
+        records.forEach(record => {
+          const next = transform(record);
+          if (next) {
+            store.put(next);
+          } else {
+            store.delete(record[store.keyPath]);
+          }
+        });
+        done += records.length;
+        if (onProgress) onProgress(done);
+
+        if (records.length < batchSize) {
+          resolve(done);
+          return;
+        }
+        const lastKey = records[records.length - 1][store.keyPath];
+        readBatch(IDBKeyRange.lowerBound(lastKey, true));
+      };
+    };
+
+    readBatch(null);
+  });
+}
+
+/**
+ * Run the steps between two versions, in order
+ * Called from onupgradeneeded. Schema steps run synchronously, since the
+ * version change transaction only accepts schema changes while it is active;
+ * a step returning a promise is awaited before the next one starts
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - Version change transaction
+ * @param {number} oldVersion - Current version (0 for a new database)
+ * @param {number} newVersion - Target version
+ * @param {Array} migrations - Steps to pick from
+ * @returns {Promise<void>} Resolves after the last step
+ */
+export function runMigrations(db, transaction, oldVersion, newVersion, migrations = MIGRATIONS) {
+  const steps = migrations
+    .filter(step => step.version > oldVersion && step.version <= newVersion)
+    .sort((a, b) => a.version - b.version);
+
+  const runFrom = (index) => {
+    for (let i = index; i < steps.length; i++) {
+      const result = steps[i].upgrade({ db, transaction });
+      if (result && typeof result.then === 'function') {
+        return result.then(() => runFrom(i + 1));
+      }
+    }
+    return Promise.resolve();
+  };
+
+  try {
+    return runFrom(0);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
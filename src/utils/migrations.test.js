@@ -0,0 +1,191 @@
+// src/utils/migrations.test.js
+
+/**
+ * Upgrades of a database written by older versions of the app, run against
+ * fake-indexeddb. Each test starts from an empty IndexedDB.
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { LATEST_VERSION, runMigrations, transformRecords } from './migrations';
+import { getDataset, initDB, invalidateQueryCaches, setDatabaseListener } from './indexedDB';
+import { generateCustomerBatches } from './dataGenerator';
+import { getIndexTokens } from './searchIndex';
+
+const DB_NAME = 'DoubleTick';
+
+/**
+ * Open the database at an older version, upgrading it with the steps up to that version
+ */
+function openAtVersion(version) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = (event) => {
+      runMigrations(request.result, request.transaction, event.oldVersion, version);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function putRecords(db, storeName, records) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    records.forEach(record => transaction.objectStore(storeName).put(record));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function getAll(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function count(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName], 'readonly').objectStore(storeName).count();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Seed a version 1 database the way saveCustomerBatches did then: generated
+ * batches put into the customers store, with a DiceBear avatar URL. The
+ * current saveCustomerBatches also writes stores version 1 does not have.
+ */
+async function seedVersion1(db, totalRecords) {
+  const customers = [];
+  for (const batch of generateCustomerBatches(totalRecords)) {
+    const legacyBatch = batch.map(customer => ({
+      ...customer,
+      avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${customer.id}`
+    }));
+    await putRecords(db, 'customers', legacyBatch);
+    customers.push(...legacyBatch);
+  }
+  return customers;
+}
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  invalidateQueryCaches();
+});
+
+afterEach(() => {
+  setDatabaseListener(() => {});
+});
+
+describe('migrations', () => {
+  it('upgrades a version 1 database to the latest version', async () => {
+    // Seeding was interrupted after 300 of the 10,000 records
+    const v1 = await openAtVersion(1);
+    const customers = await seedVersion1(v1, 300);
+    v1.close();
+
+    // Views saved before version 5 had a single sortBy/sortOrder
+    const v4 = await openAtVersion(4);
+    await putRecords(v4, 'savedViews', [
+      { name: 'Top scores', search: '', sortBy: 'score', sortOrder: 'desc', filters: {} },
+      { name: 'Unsorted', search: 'gmail', filters: {} }
+    ]);
+    v4.close();
+
+    const db = await initDB();
+    try {
+      expect(db.version).toBe(LATEST_VERSION);
+      expect([...db.objectStoreNames].sort()).toEqual([
+        'avatars',
+        'customers',
+        'dataset',
+        'deletedCustomers',
+        'messages',
+        'preferences',
+        'savedViews',
+        'searchIndex'
+      ]);
+      expect(db.transaction(['customers']).objectStore('customers').indexNames.contains('addedBy')).toBe(true);
+
+      const views = await getAll(db, 'savedViews');
+      expect(views.map(({ name, sort, sortBy, sortOrder }) => ({ name, sort, sortBy, sortOrder }))).toEqual([
+        { name: 'Top scores', sort: [{ field: 'score', order: 'desc' }], sortBy: undefined, sortOrder: undefined },
+        { name: 'Unsorted', sort: [{ field: 'id', order: 'asc' }], sortBy: undefined, sortOrder: undefined }
+      ]);
+
+      const expectedEntries = customers.reduce((sum, customer) => sum + getIndexTokens(customer).size, 0);
+      expect(await count(db, 'searchIndex')).toBe(expectedEntries);
+
+      const stored = await getAll(db, 'customers');
+      expect(stored).toHaveLength(300);
+      expect(stored.every(customer => customer.avatar === null)).toBe(true);
+    } finally {
+      db.close();
+    }
+
+    expect(await getDataset()).toEqual({ size: 10000, seed: 0, seededThrough: 300 });
+  });
+
+  it('waits for an older connection to close before upgrading', async () => {
+    const events = [];
+    let onBlocked;
+    const blocked = new Promise(resolve => { onBlocked = resolve; });
+    setDatabaseListener(event => {
+      events.push(event);
+      if (event === 'blocked') onBlocked();
+    });
+
+    // An older tab that does not close on versionchange
+    const old = await openAtVersion(LATEST_VERSION - 1);
+    let versionChanges = 0;
+    old.onversionchange = () => { versionChanges++; };
+
+    let upgraded = false;
+    const opening = initDB().then(db => {
+      upgraded = true;
+      return db;
+    });
+
+    await blocked;
+    expect(events).toEqual(['blocked']);
+    expect(versionChanges).toBe(1);
+    expect(upgraded).toBe(false);
+
+    old.close();
+    const db = await opening;
+    expect(db.version).toBe(LATEST_VERSION);
+    db.close();
+  });
+});
+
+describe('transformRecords', () => {
+  it('rewrites and deletes records in batches', async () => {
+    const db = await openAtVersion(1);
+    try {
+      await putRecords(db, 'customers', [1, 2, 3, 4, 5].map(id => ({ id, score: id })));
+
+      const progress = [];
+      const store = db.transaction(['customers'], 'readwrite').objectStore('customers');
+      const visited = await transformRecords(
+        store,
+        customer => (customer.id === 3 ? null : { ...customer, score: customer.score * 10 }),
+        { batchSize: 2, onProgress: done => progress.push(done) }
+      );
+
+      expect(visited).toBe(5);
+      expect(progress).toEqual([2, 4, 5]);
+      expect(await getAll(db, 'customers')).toEqual([
+        { id: 1, score: 10 },
+        { id: 2, score: 20 },
+        { id: 4, score: 40 },
+        { id: 5, score: 50 }
+      ]);
+    } finally {
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,77 @@
+// src/utils/pageBenchmark.js
+
+/**
+ * Page latency benchmark
+ * Measures getCustomers at different offsets and sort orders, end to end
+ * through the worker. In development it is available in the console as
+ * `runPageBenchmark()` (see main.jsx).
+ */
+
+import { getCustomers } from './customerApi';
+
+// Start, inside and at the end of the stored range, then deep in the virtual range
+export const BENCHMARK_OFFSETS = [0, 5000, 9970, 10000, 250000, 500000, 999970];
+
+export const BENCHMARK_SORTS = [
+  [{ field: 'id', order: 'asc' }],
+  [{ field: 'id', order: 'desc' }],
+  [{ field: 'name', order: 'asc' }],
+  [{ field: 'email', order: 'desc' }],
+  [{ field: 'score', order: 'desc' }],
+  [{ field: 'lastMessageAt', order: 'asc' }],
+  [{ field: 'addedBy', order: 'asc' }, { field: 'score', order: 'desc' }]
+];
+
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export const round = (ms) => Math.round(ms * 100) / 100;
+
+/**
+ * Run the benchmark
+ * The first request per sort order also builds its sort index ("cold"),
+ * so it is reported separately from the repeated ("warm") runs
+ * @param {Object} options - Benchmark options
+ * @param {Array<number>} options.offsets - Offsets to load
+ * @param {Array<Array>} options.sorts - Sorts to measure, each a list of { field, order } keys
+ * @param {number} options.runs - Warm runs per offset
+ * @param {number} options.limit - Page size
+ * @returns {Promise<Array>} Rows of { sort, offset, coldMs, medianMs, maxMs }
+ */
+export async function runPageBenchmark({
+  offsets = BENCHMARK_OFFSETS,
+  sorts = BENCHMARK_SORTS,
+  runs = 5,
+  limit = 30
+} = {}) {
+  const results = [];
+
+  for (const sort of sorts) {
+    for (const offset of offsets) {
+      const load = async () => {
+        const start = performance.now();
+        await getCustomers({ offset, limit, sort });
+        return performance.now() - start;
+      };
+
+      const coldMs = await load();
+      const warm = [];
+      for (let run = 0; run < runs; run++) {
+        warm.push(await load());
+      }
+
+      results.push({
+        sort: sort.map(key => `${key.field} ${key.order}`).join(', '),
+        offset,
+        coldMs: round(coldMs),
+        medianMs: round(median(warm)),
+        maxMs: round(Math.max(...warm))
+      });
+    }
+  }
+
+  return results;
+}
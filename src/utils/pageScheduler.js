@@ -0,0 +1,196 @@
+// src/utils/pageScheduler.js
+
+/**
+ * Request scheduler for table pages
+ * - Rows are fetched in fixed blocks, so a page of any offset and length
+ *   is served from the blocks it overlaps
+ * - Blocks live in an LRU cache keyed by query and block index; the blocks
+ *   above and below the view are prefetched
+ * - Only the latest request resolves with rows; superseded ones resolve
+ *   with null and their fetches are aborted unless still useful
+ * - Coalesced requests (scrollbar drags) wait for the next animation frame,
+ *   so only the last position per frame is fetched
+ */
+
+/**
+ * Create a page scheduler
+ * @param {Object} options - Scheduler options
+ * @param {Function} options.fetchRows - (query, offset, limit, signal) => Promise<{ data, total }>
+ * @param {number} options.pageSize - Rows per block, and per page unless a limit is given
+ * @param {number} options.cacheSize - Blocks kept in the cache
+ * @param {number} options.prefetchPages - Blocks prefetched on each side of the view
+ * @returns {Object} { peek, request, clear }
+ */
+export function createPageScheduler({ fetchRows, pageSize, cacheSize = 60, prefetchPages = 2 }) {
+  const cache = new Map();    // block key -> { data, total }, oldest first
+  const inFlight = new Map(); // block key -> { promise, controller }
+  let latestRequest = 0;
+
+  const queryKey = (query) => JSON.stringify(query);
+  const blockKey = (key, index) => `${key}#${index}`;
+
+  /**
+   * Read a block and mark it as recently used
+   */
+  const recall = (key) => {
+    const block = cache.get(key);
+    if (block) {
+      cache.delete(key);
+      cache.set(key, block);
+    }
+    return block;
+  };
+
+  const remember = (key, block) => {
+    cache.delete(key);
+    cache.set(key, block);
+    while (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  /**
+   * Block indexes covering a page
+   */
+  const blocksFor = (offset, limit) => {
+    const first = Math.floor(offset / pageSize);
+    const last = Math.floor((offset + Math.max(1, limit) - 1) / pageSize);
+    const indexes = [];
+    for (let index = first; index <= last; index++) {
+      indexes.push(index);
+    }
+    return indexes;
+  };
+
+  /**
+   * Load a block from the cache, an identical fetch in flight, or the source
+   */
+  const loadBlock = (query, key, index) => {
+    const id = blockKey(key, index);
+    const cached = recall(id);
+    if (cached) return Promise.resolve(cached);
+    if (inFlight.has(id)) return inFlight.get(id).promise;
+
+    const controller = new AbortController();
+    const promise = fetchRows(query, index * pageSize, pageSize, controller.signal)
+      .then(block => {
+        remember(id, block);
+        return block;
+      })
+      .finally(() => {
+        if (inFlight.get(id)?.promise === promise) inFlight.delete(id);
+      });
+
+    inFlight.set(id, { promise, controller });
+    return promise;
+  };
+
+  /**
+   * Block indexes worth keeping: the view and the prefetch window around it
+   */
+  const wantedBlocks = (key, indexes) => {
+    const wanted = new Set();
+    for (let index = indexes[0] - prefetchPages; index <= indexes[indexes.length - 1] + prefetchPages; index++) {
+      wanted.add(blockKey(key, index));
+    }
+    return wanted;
+  };
+
+  /**
+   * Abort fetches that neither the view nor the prefetch window needs
+   */
+  const cancelUnwanted = (wanted) => {
+    inFlight.forEach(({ controller }, id) => {
+      if (!wanted.has(id)) controller.abort();
+    });
+  };
+
+  const prefetch = (query, key, indexes, total) => {
+    for (let distance = 1; distance <= prefetchPages; distance++) {
+      const above = indexes[0] - distance;
+      const below = indexes[indexes.length - 1] + distance;
+
+      if (above >= 0) {
+        loadBlock(query, key, above).catch(() => {});
+      }
+      if (below * pageSize < total) {
+        loadBlock(query, key, below).catch(() => {});
+      }
+    }
+  };
+
+  /**
+   * Cut the page out of its blocks
+   */
+  const assemble = (indexes, blocks, offset, limit) => {
+    const start = offset - indexes[0] * pageSize;
+    const data = blocks.flatMap(block => block.data).slice(start, start + limit);
+    return { data, total: blocks[0].total };
+  };
+
+  return {
+    /**
+     * Get a page from the cache without waiting
+     * A hit supersedes pending requests and prefetches around the page
+     * @param {Object} query - { search, sort, filters }
+     * @param {number} offset - First row of the page
+     * @param {number} limit - Rows in the page
+     * @returns {Object|null} { data, total } or null when not cached
+     */
+    peek(query, offset, limit = pageSize) {
+      const key = queryKey(query);
+      const indexes = blocksFor(offset, limit);
+      const blocks = indexes.map(index => cache.get(blockKey(key, index)));
+      if (!blocks.every(Boolean)) return null;
+
+      latestRequest++;
+      indexes.forEach(index => recall(blockKey(key, index)));
+      cancelUnwanted(wantedBlocks(key, indexes));
+      prefetch(query, key, indexes, blocks[0].total);
+      return assemble(indexes, blocks, offset, limit);
+    },
+
+    /**
+     * Fetch a page
+     * @param {Object} query - { search, sort, filters }
+     * @param {number} offset - First row of the page
+     * @param {Object} options - { limit } rows in the page, { coalesce } to
+     *   wait for the next animation frame
+     * @returns {Promise<Object|null>} { data, total }, or null when superseded
+     */
+    async request(query, offset, { limit = pageSize, coalesce = false } = {}) {
+      const requestId = ++latestRequest;
+
+      if (coalesce) {
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        if (requestId !== latestRequest) return null;
+      }
+
+      const key = queryKey(query);
+      const indexes = blocksFor(offset, limit);
+      cancelUnwanted(wantedBlocks(key, indexes));
+
+      let blocks;
+      try {
+        blocks = await Promise.all(indexes.map(index => loadBlock(query, key, index)));
+      } catch (error) {
+        if (error.name === 'AbortError') return null;
+        throw error;
+      }
+
+      if (requestId !== latestRequest) return null;
+
+      prefetch(query, key, indexes, blocks[0].total);
+      return assemble(indexes, blocks, offset, limit);
+    },
+
+    /**
+     * Drop all cached pages and pending fetches, e.g. after data changed
+     */
+    clear() {
+      latestRequest++;
+      inFlight.forEach(({ controller }) => controller.abort());
+      cache.clear();
+    }
+  };
+}
@@ -0,0 +1,42 @@
+// src/utils/preferences.js
+
+/**
+ * Preferences of the current user, stored in the preferences object store
+ * There is no sign-in yet, so the user is identified by an id created once
+ * per browser profile and kept in localStorage. Once accounts exist,
+ * getCurrentUserId is the only place that needs to change.
+ */
+
+import { getPreferences, savePreferences } from './customerApi';
+
+const USER_ID_KEY = 'doubletick.userId';
+
+/**
+ * Id of the current user
+ * @returns {string} User ID
+ */
+export function getCurrentUserId() {
+  let userId = localStorage.getItem(USER_ID_KEY);
+  if (!userId) {
+    userId = crypto.randomUUID();
+    localStorage.setItem(USER_ID_KEY, userId);
+  }
+  return userId;
+}
+
+/**
+ * Load the current user's preferences
+ * @returns {Promise<Object>} Saved preferences, empty when nothing was saved
+ */
+export async function loadPreferences() {
+  return (await getPreferences(getCurrentUserId())) || {};
+}
+
+/**
+ * Save some of the current user's preferences
+ * @param {Object} changes - e.g. { columns, columnWidths }
+ * @returns {Promise<Object>} All stored preferences
+ */
+export function updatePreferences(changes) {
+  return savePreferences(getCurrentUserId(), changes);
+}
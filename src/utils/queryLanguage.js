@@ -0,0 +1,360 @@
+// src/utils/queryLanguage.js
+
+/**
+ * Query language of the search box
+ * A query mixes plain words with field clauses, all of which must match:
+ *
+ *   score:>80 agent:"Agent Smith" last:<30d domain:gmail.com -name:john
+ *
+ * Clauses compile to the filter model in filters.js, so they run in the
+ * same engine as the filter menu; the remaining words are the plain text
+ * search. Input without clauses is plain text, exactly as typed.
+ */
+
+import { editDistance } from './fuzzySearch';
+
+/**
+ * Fields a clause can name, in the order autocomplete lists them
+ */
+export const QUERY_FIELDS = [
+  { name: 'score', description: 'Score', example: 'score:>80' },
+  { name: 'agent', description: 'Added by', example: 'agent:"Agent Smith"' },
+  { name: 'last', description: 'Last message', example: 'last:<30d' },
+  { name: 'domain', description: 'Email domain', example: 'domain:gmail.com' },
+  { name: 'name', description: 'Name contains', example: 'name:john' },
+  { name: 'email', description: 'Email contains', example: 'email:smith' },
+  { name: 'phone', description: 'Phone contains', example: 'phone:555' }
+];
+
+const FIELD_NAMES = QUERY_FIELDS.map(field => field.name);
+
+// Text fields become filter terms
+const TERM_FIELDS = ['name', 'email', 'phone', 'domain'];
+
+// Days per unit of a relative age such as 30d
+const AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Comparison with the opposite meaning, used by negated clauses
+const NEGATED = { '<': '>=', '<=': '>', '>': '<=', '>=': '<' };
+
+/**
+ * Split input into whitespace separated tokens
+ * Double quotes group words, so `agent:"Agent Smith"` is one token.
+ * An unclosed quote runs to the end of the input.
+ * @param {string} input - Search box text
+ * @returns {Array<Object>} { raw, start, end, closed }
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let closed = true;
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          closed = false;
+          i = input.length;
+          break;
+        }
+        i = end + 1;
+      } else {
+        i++;
+      }
+    }
+    tokens.push({ raw: input.slice(start, i), start, end: i, closed });
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a token into a clause, if it starts with a known field
+ * Other `word:` tokens (e.g. http://x or re:) stay plain text
+ * @returns {Object|null} { negate, field, value } or null for plain text
+ */
+function splitClause(raw) {
+  const match = /^(-?)([A-Za-z]+):(.*)$/s.exec(raw);
+  if (!match || !FIELD_NAMES.includes(match[2].toLowerCase())) return null;
+  return { negate: match[1] === '-', field: match[2].toLowerCase(), value: match[3].replace(/"/g, '') };
+}
+
+/**
+ * Split a value into comparison and operand, e.g. '>=80' -> ['>=', '80']
+ */
+function splitComparison(value) {
+  const [, op, operand] = /^(<=|>=|<|>|=)?(.*)$/s.exec(value);
+  return [op || '', operand];
+}
+
+/**
+ * Check a 'YYYY-MM-DD' string is a real date
+ */
+function isDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Move a 'YYYY-MM-DD' date by whole days
+ */
+function addDays(value, days) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day + days);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a score clause value
+ * @returns {Object} { scoreMin, scoreMax } or { error }
+ */
+function parseScore(value, negate) {
+  const usage = 'score needs a whole number from 0 to 100, e.g. score:>80, score:<=20 or score:20..60';
+  const toScore = (text) => (/^\d+$/.test(text) && Number(text) <= 100 ? Number(text) : null);
+
+  const range = /^(\d*)\.\.(\d*)$/.exec(value);
+  if (range) {
+    if (negate) return { error: 'A score range cannot be negated; use score:< or score:> instead' };
+    const min = range[1] === '' ? null : toScore(range[1]);
+    const max = range[2] === '' ? null : toScore(range[2]);
+    if ((range[1] !== '' && min == null) || (range[2] !== '' && max == null) || (min == null && max == null)) {
+      return { error: usage };
+    }
+    return { scoreMin: min, scoreMax: max };
+  }
+
+  let [op, operand] = splitComparison(value);
+  const score = toScore(operand);
+  if (score == null) return { error: usage };
+  if (negate) {
+    if (!NEGATED[op]) return { error: `-score:${value} cannot be negated; use score:<${score} or score:>${score} instead` };
+    op = NEGATED[op];
+  }
+
+  switch (op) {
+    case '>': return { scoreMin: score + 1, scoreMax: null };
+    case '>=': return { scoreMin: score, scoreMax: null };
+    case '<': return { scoreMin: null, scoreMax: score - 1 };
+    case '<=': return { scoreMin: null, scoreMax: score };
+    default: return { scoreMin: score, scoreMax: score };
+  }
+}
+
+/**
+ * Parse a last message clause value
+ * Ages ('<30d' = within the last 30 days, '>1y' = longer ago) become
+ * message age bounds, dates become a date range
+ * @returns {Object} Filter fields or { error }
+ */
+function parseLast(value, negate) {
+  const usage = 'last needs an age like <30d, >2w, <6m, >1y or a date like >2024-01-31 or 2024-01-01..2024-03-31';
+
+  const range = /^([\d-]*)\.\.([\d-]*)$/.exec(value);
+  if (range) {
+    const [, from, to] = range;
+    if ((from && !isDate(from)) || (to && !isDate(to)) || (!from && !to)) return { error: usage };
+    if (negate) return { error: 'A date range cannot be negated; use last:< or last:> instead' };
+    return { dateFrom: from || null, dateTo: to || null };
+  }
+
+  let [op, operand] = splitComparison(value);
+  const age = /^(\d+)([dwmy])$/i.exec(operand);
+
+  if (age) {
+    if (op === '=') return { error: 'Compare ages with < or >, e.g. last:<30d' };
+    if (negate) op = NEGATED[op || '<='];
+    const days = Number(age[1]) * AGE_UNITS[age[2].toLowerCase()];
+    return op === '>' || op === '>=' ? { messageAgeMin: days } : { messageAgeMax: days };
+  }
+
+  if (!isDate(operand)) return { error: usage };
+  if (negate) {
+    if (!NEGATED[op]) return { error: `-last:${value} cannot be negated; use last:<${operand} or last:>${operand} instead` };
+    op = NEGATED[op];
+  }
+
+  switch (op) {
+    case '>': return { dateFrom: addDays(operand, 1) };
+    case '>=': return { dateFrom: operand };
+    case '<': return { dateTo: addDays(operand, -1) };
+    case '<=': return { dateTo: operand };
+    default: return { dateFrom: operand, dateTo: operand };
+  }
+}
+
+/**
+ * Narrow a lower or upper bound by another one
+ */
+function tighten(current, next, pick) {
+  if (next == null) return current;
+  return current == null ? next : pick(current, next);
+}
+
+const later = (a, b) => (a > b ? a : b);
+const earlier = (a, b) => (a < b ? a : b);
+
+/**
+ * Parse and compile search box text
+ * @param {string} input - Search box text
+ * @param {Object} options
+ * @param {Array<string>} options.agents - Known agents; agent values are
+ *   matched case-insensitively against them and must be one of them
+ * @returns {Object} { text, filters, errors }: text is the plain text search,
+ *   filters the compiled clauses (null when there are none), errors a list of
+ *   { message, start, end } positions in the input
+ */
+export function compileQuery(input, { agents = null } = {}) {
+  const tokens = tokenize(input || '');
+  const filters = {
+    scoreMin: null,
+    scoreMax: null,
+    dateFrom: null,
+    dateTo: null,
+    messageAgeMin: null,
+    messageAgeMax: null,
+    agents: [],
+    excludedAgents: [],
+    terms: []
+  };
+  const words = [];
+  const errors = [];
+  let clauses = 0;
+
+  tokens.forEach(token => {
+    const clause = splitClause(token.raw);
+    const fail = (message) => errors.push({ message, start: token.start, end: token.end });
+
+    if (!clause) {
+      words.push(token);
+      return;
+    }
+    clauses++;
+    if (!token.closed) {
+      fail('Missing closing quote');
+      return;
+    }
+
+    const { negate, field, value } = clause;
+    if (value === '') {
+      fail(`${field} needs a value, e.g. ${QUERY_FIELDS.find(f => f.name === field).example}`);
+      return;
+    }
+
+    if (field === 'score') {
+      const result = parseScore(value, negate);
+      if (result.error) return fail(result.error);
+      filters.scoreMin = tighten(filters.scoreMin, result.scoreMin, Math.max);
+      filters.scoreMax = tighten(filters.scoreMax, result.scoreMax, Math.min);
+    } else if (field === 'last') {
+      const result = parseLast(value, negate);
+      if (result.error) return fail(result.error);
+      filters.dateFrom = tighten(filters.dateFrom, result.dateFrom, later);
+      filters.dateTo = tighten(filters.dateTo, result.dateTo, earlier);
+      filters.messageAgeMin = tighten(filters.messageAgeMin, result.messageAgeMin, Math.max);
+      filters.messageAgeMax = tighten(filters.messageAgeMax, result.messageAgeMax, Math.min);
+    } else if (field === 'agent') {
+      const agent = agents
+        ? agents.find(known => known.toLowerCase() === value.toLowerCase())
+        : value;
+      if (!agent) return fail(`Unknown agent "${value}". Agents are ${agents.join(', ')}`);
+      // Repeated agent clauses match any of the agents, like the agent filter
+      filters[negate ? 'excludedAgents' : 'agents'].push(agent);
+    } else if (TERM_FIELDS.includes(field)) {
+      filters.terms.push({ field, value, negate });
+    }
+  });
+
+  // No clauses: keep the input as typed so plain searches behave as before
+  if (clauses === 0 && errors.length === 0) {
+    return { text: input || '', filters: null, errors: [] };
+  }
+
+  const unclosed = words.find(word => !word.closed);
+  if (unclosed) {
+    errors.push({ message: 'Missing closing quote', start: unclosed.start, end: unclosed.end });
+  }
+
+  return {
+    text: words.map(word => word.raw.replace(/"/g, '')).join(' '),
+    filters,
+    errors
+  };
+}
+
+/**
+ * Autocomplete suggestions for the token at the caret
+ * Suggests field names while typing a word, the field one typo away from
+ * an unknown `word:` (e.g. scroe: -> score:), and agents after `agent:`
+ * @param {string} input - Search box text
+ * @param {number} caret - Caret position
+ * @param {Object} options - { agents }
+ * @returns {Object|null} { start, end, items: [{ label, description, value }] }
+ *   where value replaces input.slice(start, end); null when there is nothing to suggest
+ */
+export function getQuerySuggestions(input, caret, { agents = [] } = {}) {
+  const token = tokenize(input).find(t => t.start < caret && caret <= t.end);
+  if (!token) return null;
+
+  const typed = token.raw.slice(0, caret - token.start);
+  const sign = typed.startsWith('-') ? '-' : '';
+  let items = [];
+
+  const clause = splitClause(typed);
+  const unknownField = /^-?([A-Za-z]+):/.exec(typed);
+  if (!clause && unknownField) {
+    const rest = token.raw.slice(unknownField[0].length);
+    items = QUERY_FIELDS
+      .filter(field => editDistance(unknownField[1].toLowerCase(), field.name, 1) <= 1)
+      .map(field => ({
+        label: `${sign}${field.name}:`,
+        description: `Did you mean ${field.name}? ${field.description}, e.g. ${field.example}`,
+        value: `${sign}${field.name}:${rest}`
+      }));
+  } else if (!clause) {
+    const prefix = typed.slice(sign.length).toLowerCase();
+    if (!/^[a-z]+$/.test(prefix)) return null;
+    items = QUERY_FIELDS
+      .filter(field => field.name.startsWith(prefix))
+      .map(field => ({
+        label: `${sign}${field.name}:`,
+        description: `${field.description}, e.g. ${field.example}`,
+        value: `${sign}${field.name}:`
+      }));
+  } else if (clause.field === 'agent') {
+    const partial = clause.value.toLowerCase();
+    items = agents
+      .filter(agent => agent.toLowerCase().includes(partial))
+      .map(agent => ({
+        label: agent,
+        description: 'Agent',
+        value: `${sign}agent:${/\s/.test(agent) ? `"${agent}"` : agent} `
+      }));
+  }
+
+  // Nothing left to complete when the only suggestion is what is already there
+  items = items.filter(item => item.value.trim() !== token.raw);
+  return items.length > 0 ? { start: token.start, end: token.end, items } : null;
+}
+
+/**
+ * Resolve search box text for the query engine
+ * Text with errors is searched as plain text, as it was before clauses
+ * existed, so a bad query in an old link still finds something sensible
+ * @param {string} search - Search box text
+ * @param {Object} options - Same as compileQuery
+ * @returns {Object} { text, filters } with filters null when there are no clauses
+ */
+export function resolveSearch(search, options) {
+  const { text, filters, errors } = compileQuery(search, options);
+  return errors.length > 0 ? { text: search, filters: null } : { text, filters };
+}
@@ -0,0 +1,102 @@
+// src/utils/queryLanguage.test.js
+
+import { describe, expect, it } from 'vitest';
+import { compileQuery, getQuerySuggestions, resolveSearch } from './queryLanguage';
+
+const AGENTS = ['Agent Smith', 'Agent Jones'];
+
+/**
+ * Errors of a query as [message, text they point at]
+ */
+function errorsOf(input) {
+  return compileQuery(input, { agents: AGENTS }).errors.map(({ message, start, end }) => [message, input.slice(start, end)]);
+}
+
+describe('compileQuery', () => {
+  it('keeps text without clauses as typed, colons included', () => {
+    ['http://x', 're:', 'Dr: Who', 'mary 12', 'foo:bar baz'].forEach(input => {
+      expect(compileQuery(input, { agents: AGENTS })).toEqual({ text: input, filters: null, errors: [] });
+    });
+  });
+
+  it('treats only known fields as clauses', () => {
+    const { text, filters, errors } = compileQuery('re: score:>80 http://x -NAME:"john doe"', { agents: AGENTS });
+
+    expect(errors).toEqual([]);
+    expect(text).toBe('re: http://x');
+    expect(filters).toMatchObject({
+      scoreMin: 81,
+      scoreMax: null,
+      terms: [{ field: 'name', value: 'john doe', negate: true }]
+    });
+  });
+
+  it('combines repeated bounds and agents', () => {
+    const { filters } = compileQuery('score:>=20 score:<60 score:10..50 agent:"agent smith" -agent:"Agent Jones"', { agents: AGENTS });
+
+    expect(filters).toMatchObject({
+      scoreMin: 20,
+      scoreMax: 50,
+      agents: ['Agent Smith'],
+      excludedAgents: ['Agent Jones']
+    });
+  });
+
+  it('reports score errors', () => {
+    const usage = 'score needs a whole number from 0 to 100, e.g. score:>80, score:<=20 or score:20..60';
+
+    expect(errorsOf('score:abc')).toEqual([[usage, 'score:abc']]);
+    expect(errorsOf('score:>101')).toEqual([[usage, 'score:>101']]);
+    expect(errorsOf('score:..')).toEqual([[usage, 'score:..']]);
+    expect(errorsOf('-score:20..60')).toEqual([['A score range cannot be negated; use score:< or score:> instead', '-score:20..60']]);
+    expect(errorsOf('-score:50')).toEqual([['-score:50 cannot be negated; use score:<50 or score:>50 instead', '-score:50']]);
+  });
+
+  it('reports last message errors', () => {
+    const usage = 'last needs an age like <30d, >2w, <6m, >1y or a date like >2024-01-31 or 2024-01-01..2024-03-31';
+
+    expect(errorsOf('last:soon')).toEqual([[usage, 'last:soon']]);
+    expect(errorsOf('last:<2024-02-30')).toEqual([[usage, 'last:<2024-02-30']]);
+    expect(errorsOf('last:=30d')).toEqual([['Compare ages with < or >, e.g. last:<30d', 'last:=30d']]);
+    expect(errorsOf('-last:2024-01-01..2024-02-01')).toEqual([['A date range cannot be negated; use last:< or last:> instead', '-last:2024-01-01..2024-02-01']]);
+    expect(errorsOf('-last:2024-01-31')).toEqual([['-last:2024-01-31 cannot be negated; use last:<2024-01-31 or last:>2024-01-31 instead', '-last:2024-01-31']]);
+  });
+
+  it('reports unknown agents, empty values and missing quotes', () => {
+    expect(errorsOf('agent:Bond')).toEqual([['Unknown agent "Bond". Agents are Agent Smith, Agent Jones', 'agent:Bond']]);
+    expect(errorsOf('mary name:')).toEqual([['name needs a value, e.g. name:john', 'name:']]);
+    expect(errorsOf('agent:"Agent Smith')).toEqual([['Missing closing quote', 'agent:"Agent Smith']]);
+    expect(errorsOf('score:>80 "john')).toEqual([['Missing closing quote', '"john']]);
+  });
+
+  it('converts message ages and dates to filter bounds', () => {
+    expect(compileQuery('last:<30d -last:<1y').filters).toMatchObject({ messageAgeMax: 30, messageAgeMin: 365 });
+    expect(compileQuery('last:>2024-01-31 last:<=2024-03-01').filters).toMatchObject({ dateFrom: '2024-02-01', dateTo: '2024-03-01' });
+  });
+});
+
+describe('resolveSearch', () => {
+  it('searches text with errors as plain text', () => {
+    expect(resolveSearch('score:abc mary', { agents: AGENTS })).toEqual({ text: 'score:abc mary', filters: null });
+    expect(resolveSearch('http://x', { agents: AGENTS })).toEqual({ text: 'http://x', filters: null });
+  });
+});
+
+describe('getQuerySuggestions', () => {
+  it('suggests field names while typing a word', () => {
+    expect(getQuerySuggestions('mary sc', 7).items.map(item => item.value)).toEqual(['score:']);
+    expect(getQuerySuggestions('-na', 3).items.map(item => item.value)).toEqual(['-name:']);
+  });
+
+  it('suggests the field one typo away from an unknown field', () => {
+    const suggestions = getQuerySuggestions('scroe:>80', 9);
+
+    expect(suggestions).toMatchObject({ start: 0, end: 9 });
+    expect(suggestions.items.map(item => item.value)).toEqual(['score:>80']);
+    expect(getQuerySuggestions('http://x', 8)).toBeNull();
+  });
+
+  it('suggests agents after agent:', () => {
+    expect(getQuerySuggestions('agent:jo', 8, { agents: AGENTS }).items.map(item => item.value)).toEqual(['agent:"Agent Jones" ']);
+  });
+});
@@ -0,0 +1,181 @@
+// src/utils/rowLayout.js
+
+/**
+ * Vertical layout of the virtualized table
+ * - Rows count with an estimated height until they are rendered and
+ *   measured. Measured differences from the estimate are kept in a Fenwick
+ *   tree, so the offset of any row and the row at any offset take O(log n)
+ *   even over 1M rows, however many rows were measured.
+ * - Browsers cap the height of an element (about 17.9M px in Firefox), less
+ *   than 1M rows need. The native scroll area is therefore at most
+ *   MAX_SCROLL_HEIGHT px, and its scrollbar maps proportionally onto the
+ *   full height. Small moves (wheel, touch, keys) are applied 1:1 by
+ *   shifting the offset between the two; jumps and scrollbar drags land at
+ *   the proportional position.
+ *
+ * A scroll position is { top, base }: top is the position over all rows and
+ * the native scrollTop is top - base.
+ */
+
+// Height of the native scroll area
+export const MAX_SCROLL_HEIGHT = 15000000;
+
+// Native moves longer than this many viewport heights are jumps
+const JUMP_VIEWPORTS = 3;
+
+/**
+ * Create the row heights of a result
+ * @param {number} count - Number of rows
+ * @param {number} estimate - Height of a row that was not measured yet, in px
+ * @returns {Object} { count, totalHeight, heightOf, setHeight, offsetOf, indexAt }
+ */
+export function createRowHeights(count, estimate) {
+  const tree = new Float64Array(count + 1); // Fenwick tree of height - estimate, 1-based
+  const measured = new Map(); // row index -> measured height
+  let extra = 0; // Sum of all differences
+
+  let topStep = 1;
+  while (topStep * 2 <= count) topStep *= 2;
+
+  const heightOf = (index) => measured.get(index) ?? estimate;
+
+  return {
+    count,
+
+    get totalHeight() {
+      return count * estimate + extra;
+    },
+
+    heightOf,
+
+    /**
+     * Record the rendered height of a row
+     * @param {number} index - Row index (0-based)
+     * @param {number} height - Height in px
+     * @returns {number} Change of the row's height, 0 when it kept its height
+     */
+    setHeight(index, height) {
+      const delta = height - heightOf(index);
+      if (delta === 0 || index < 0 || index >= count) return 0;
+
+      measured.set(index, height);
+      extra += delta;
+      for (let i = index + 1; i <= count; i += i & -i) {
+        tree[i] += delta;
+      }
+      return delta;
+    },
+
+    /**
+     * Top of a row
+     * @param {number} index - Row index (0-based); count gives the bottom of the last row
+     * @returns {number} Offset in px from the top of the first row
+     */
+    offsetOf(index) {
+      let sum = index * estimate;
+      for (let i = Math.min(index, count); i > 0; i -= i & -i) {
+        sum += tree[i];
+      }
+      return sum;
+    },
+
+    /**
+     * Row at an offset
+     * @param {number} offset - Offset in px from the top of the first row
+     * @returns {number} Index of the row covering the offset, clamped to the rows
+     */
+    indexAt(offset) {
+      if (count === 0) return 0;
+
+      // Largest index whose top is at or above the offset
+      let index = 0;
+      let sum = 0;
+      for (let step = topStep; step > 0; step >>= 1) {
+        const next = index + step;
+        if (next <= count && next * estimate + sum + tree[next] <= offset) {
+          index = next;
+          sum += tree[next];
+        }
+      }
+      return Math.min(index, count - 1);
+    }
+  };
+}
+
+/**
+ * Height of the native scroll area for the rows
+ * @param {Object} heights - Row heights from createRowHeights
+ * @returns {number} Height in px
+ */
+export function getScrollHeight(heights) {
+  return Math.min(heights.totalHeight, MAX_SCROLL_HEIGHT);
+}
+
+/**
+ * Clamp a position to the rows
+ */
+function clampTop(top, heights, viewportHeight) {
+  return Math.max(0, Math.min(top, heights.totalHeight - viewportHeight));
+}
+
+/**
+ * Rows scrolled per native pixel at the proportional position
+ */
+function scrollRatio(heights, viewportHeight) {
+  const range = getScrollHeight(heights) - viewportHeight;
+  return range > 0 ? (heights.totalHeight - viewportHeight) / range : 1;
+}
+
+/**
+ * Scroll to a position, with the native scrollbar at the proportional place
+ * @param {number} top - Wanted position over all rows, in px
+ * @param {Object} heights - Row heights from createRowHeights
+ * @param {number} viewportHeight - Height of the visible rows area
+ * @returns {Object} { top, base } with top clamped to the rows
+ */
+export function placeScroll(top, heights, viewportHeight) {
+  const clamped = clampTop(top, heights, viewportHeight);
+  return { top: clamped, base: clamped - clamped / scrollRatio(heights, viewportHeight) };
+}
+
+/**
+ * Move to a nearby position, keeping the native scroll position 1:1
+ * The offset is kept while the native position stays inside the scroll
+ * area; at its edges the position is placed proportionally again, so
+ * scrolling can go on
+ * @param {Object} current - Current { top, base }
+ * @param {number} top - Wanted position over all rows, in px
+ * @param {Object} heights - Row heights from createRowHeights
+ * @param {number} viewportHeight - Height of the visible rows area
+ * @returns {Object} { top, base }
+ */
+export function moveScroll(current, top, heights, viewportHeight) {
+  const clamped = clampTop(top, heights, viewportHeight);
+  const scrollTop = clamped - current.base;
+  if (scrollTop > 0 && scrollTop < getScrollHeight(heights) - viewportHeight) {
+    return { top: clamped, base: current.base };
+  }
+  return placeScroll(clamped, heights, viewportHeight);
+}
+
+/**
+ * Position after a native scroll
+ * @param {Object} current - Current { top, base }
+ * @param {number} scrollTop - New native scrollTop
+ * @param {Object} heights - Row heights from createRowHeights
+ * @param {number} viewportHeight - Height of the visible rows area
+ * @param {boolean} proportional - The scrollbar is being dragged
+ * @returns {Object} { top, base }, current itself when nothing moved
+ */
+export function followScroll(current, scrollTop, heights, viewportHeight, proportional = false) {
+  const delta = scrollTop - (current.top - current.base);
+  if (Math.abs(delta) < 0.5) return current;
+
+  if (proportional || Math.abs(delta) > JUMP_VIEWPORTS * viewportHeight) {
+    // The end of the scrollbar is exactly the end of the rows
+    const atEnd = scrollTop >= getScrollHeight(heights) - viewportHeight;
+    const top = atEnd ? heights.totalHeight : scrollTop * scrollRatio(heights, viewportHeight);
+    return placeScroll(top, heights, viewportHeight);
+  }
+  return moveScroll(current, current.top + delta, heights, viewportHeight);
+}
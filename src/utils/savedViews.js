@@ -0,0 +1,59 @@
+// src/utils/savedViews.js
+
+/**
+ * Saved view helpers
+ * A view is { id, name, search, sort, filters, columns, createdAt },
+ * stored in the savedViews object store (see indexedDB.js).
+ */
+
+import { normalizeFilters } from './filters';
+import { DEFAULT_COLUMNS } from './columns';
+import { normalizeSort, sortEquals } from './sorting';
+
+/**
+ * Build a new (unsaved) view from the table state
+ * @param {string} name - View name
+ * @param {Object} state - { search, sort, filters, columns }
+ * @returns {Object} View without an id
+ */
+export function createView(name, { search, sort, filters, columns }) {
+  return {
+    name: name.trim(),
+    search,
+    sort: normalizeSort(sort),
+    filters: normalizeFilters(filters),
+    columns: [...columns],
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Copy of a view under a name no other view uses
+ * @param {Object} view - View to copy
+ * @param {Array} views - Existing views
+ * @returns {Object} View without an id
+ */
+export function duplicateView(view, views) {
+  const names = new Set(views.map(other => other.name));
+  let name = `${view.name} (copy)`;
+  for (let n = 2; names.has(name); n++) {
+    name = `${view.name} (copy ${n})`;
+  }
+
+  const copy = { ...view, name, createdAt: new Date().toISOString() };
+  delete copy.id;
+  return copy;
+}
+
+/**
+ * Check whether the table currently shows a view
+ * @param {Object} view - Saved view
+ * @param {Object} state - { search, sort, filters, columns }
+ * @returns {boolean} True when search, sort, filters and columns all match
+ */
+export function viewMatches(view, state) {
+  return view.search === state.search &&
+    sortEquals(normalizeSort(view.sort), state.sort) &&
+    JSON.stringify(normalizeFilters(view.filters)) === JSON.stringify(normalizeFilters(state.filters)) &&
+    (view.columns || DEFAULT_COLUMNS).join() === state.columns.join();
+}
@@ -0,0 +1,47 @@
+// src/utils/searchBenchmark.js
+
+/**
+ * Search latency benchmark
+ * Times search over 100K and 1M stored customers, with and without the
+ * search index (see searchIndex.js). The customers live in a separate
+ * scratch database that is filled on the first run and kept, so later runs
+ * start right away. In development it is available in the console as
+ * `runSearchBenchmark()` (see main.jsx).
+ */
+
+import { benchmarkSearch } from './customerApi';
+import { median, round } from './pageBenchmark';
+
+// An exact word, typos in a name, a typo in a domain, and digits
+export const BENCHMARK_TERMS = ['smith', 'jonh smtih', 'gmal', '555'];
+
+export const BENCHMARK_SIZES = [100000, 1000000];
+
+/**
+ * Run the benchmark
+ * "Cold" is the first search on a new connection, including the read of
+ * the index vocabulary; "warm" repeats it with both kept
+ * @param {Object} options - Benchmark options
+ * @param {Array<number>} options.sizes - Stored customer counts
+ * @param {Array<string>} options.terms - Search texts
+ * @param {number} options.runs - Warm runs per term
+ * @param {Function} onProgress - (done, total) while the scratch database is filled
+ * @returns {Promise<Array>} Rows of { rows, term, matches, coldMs, medianMs, maxMs, scanMs }
+ */
+export async function runSearchBenchmark({
+  sizes = BENCHMARK_SIZES,
+  terms = BENCHMARK_TERMS,
+  runs = 5
+} = {}, onProgress) {
+  const results = await benchmarkSearch({ sizes, terms, runs }, onProgress);
+
+  return results.map(({ rows, term, matches, coldMs, warmMs, scanMs }) => ({
+    rows,
+    term,
+    matches,
+    coldMs: round(coldMs),
+    medianMs: round(median(warmMs)),
+    maxMs: round(Math.max(...warmMs)),
+    scanMs: round(scanMs)
+  }));
+}
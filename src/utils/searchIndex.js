@@ -0,0 +1,171 @@
+// src/utils/searchIndex.js
+
+/**
+ * Inverted search index over stored customers
+ * Kept in the `searchIndex` object store with one entry per (token, id):
+ * the key is [token, id] and the value the id, so a key range over tokens
+ * returns ids directly and adding or removing a customer never rewrites
+ * other customers' entries.
+ *
+ * Tokens are the lowercase words of name and email, plus every suffix of
+ * each number in email and phone. Letter words are found by prefix with a
+ * key range, or by substring and typo through the list of distinct words;
+ * numbers are found anywhere as the prefix of one of their suffixes.
+ *
+ * Generated customers are not indexed; virtualSearch.js covers them.
+ */
+
+import { WORD_PATTERN, getSearchWords, normalizeSearchText, scoreWord } from './fuzzySearch';
+
+// Every letter token sorts after every number token ('9' < ':' < letters)
+const FIRST_LETTER_KEY = [':'];
+
+/**
+ * Tokens indexed for a customer
+ * @param {Object} customer - Stored customer
+ * @returns {Set<string>} Tokens
+ */
+export function getIndexTokens(customer) {
+  const tokens = new Set();
+  const words = `${customer.name} ${customer.email} ${customer.phone}`.toLowerCase().match(WORD_PATTERN) || [];
+
+  words.forEach(word => {
+    if (!/^\d+$/.test(word)) {
+      tokens.add(word);
+      return;
+    }
+    for (let start = 0; start < word.length; start++) {
+      tokens.add(word.slice(start));
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Bring the index entries of one customer up to date
+ * Call inside the transaction that writes the customer
+ * @param {IDBObjectStore} indexStore - searchIndex store of a readwrite transaction
+ * @param {Object|undefined} previous - Stored record before the write, if any
+ * @param {Object|undefined} next - Record after the write, undefined when deleted
+ */
+export function updateIndexEntries(indexStore, previous, next) {
+  const { id } = next || previous;
+  const before = previous ? getIndexTokens(previous) : new Set();
+  const after = next ? getIndexTokens(next) : new Set();
+
+  before.forEach(token => after.has(token) || indexStore.delete([token, id]));
+  after.forEach(token => before.has(token) || indexStore.put(id, [token, id]));
+}
+
+/**
+ * Index every stored customer again
+ * Reads customers in batches inside the given transaction
+ * @param {IDBTransaction} transaction - Readwrite transaction over customers and searchIndex
+ * @param {number} batchSize - Customers read per request
+ * @returns {Promise<number>} Number of customers indexed
+ */
+export function rebuildSearchIndex(transaction, batchSize = 1000) {
+  const customers = transaction.objectStore('customers');
+  const indexStore = transaction.objectStore('searchIndex');
+
+  return new Promise((resolve, reject) => {
+    let done = 0;
+    indexStore.clear();
+
+    const readBatch = (range) => {
+      const request = customers.getAll(range, batchSize);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const batch = request.result;
+        batch.forEach(customer => updateIndexEntries(indexStore, undefined, customer));
+        done += batch.length;
+
+        if (batch.length < batchSize) {
+          resolve(done);
+          return;
+        }
+        readBatch(IDBKeyRange.lowerBound(batch[batch.length - 1].id, true));
+      };
+    };
+
+    readBatch(null);
+  });
+}
+
+/**
+ * Distinct letter tokens of the index
+ * Jumps from one token to the next, so the cost follows the number of
+ * distinct words, not the number of entries
+ * @param {IDBObjectStore} indexStore - searchIndex store
+ * @returns {Promise<Array<string>>} Tokens in order
+ */
+export function readVocabulary(indexStore) {
+  return new Promise((resolve, reject) => {
+    const tokens = [];
+    const request = indexStore.openKeyCursor(IDBKeyRange.lowerBound(FIRST_LETTER_KEY));
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(tokens);
+        return;
+      }
+      const [token] = cursor.key;
+      tokens.push(token);
+      cursor.continue([`${token}\u0000`]);
+    };
+  });
+}
+
+/**
+ * Ids of the entries whose token starts with a prefix, or equals a token
+ */
+function readIds(indexStore, token, prefix) {
+  const range = prefix
+    ? IDBKeyRange.bound([token], [`${token}\uffff`])
+    : IDBKeyRange.bound([token], [token, Infinity]);
+
+  return new Promise((resolve, reject) => {
+    const request = indexStore.getAll(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Stored customers that may match search text
+ * A customer is a candidate when every search word matches one of its
+ * tokens the way fuzzySearch.js scores words: numbers anywhere, letter
+ * words exactly, by prefix, substring or with a typo. Candidates still
+ * need to be checked against the full record.
+ * @param {IDBObjectStore} indexStore - searchIndex store
+ * @param {string} text - Search text
+ * @param {Array<string>} vocabulary - Result of readVocabulary
+ * @returns {Promise<Array<number>|null>} Candidate ids, or null when the
+ *   text has no words to look up (e.g. '@') and every customer is a candidate
+ */
+export async function findCandidates(indexStore, text, vocabulary) {
+  const words = getSearchWords(normalizeSearchText(text));
+  if (words.length === 0) return null;
+
+  // Issue every lookup up front so the transaction stays active
+  const perWord = await Promise.all(words.map(word => {
+    if (/^\+?\d+$/.test(word)) {
+      return readIds(indexStore, word.replace('+', ''), true);
+    }
+    const tokens = vocabulary.filter(token => scoreWord(word, token) > 0);
+    return Promise.all(tokens.map(token => readIds(indexStore, token, false))).then(lists => lists.flat());
+  }));
+
+  // Intersect, smallest list first
+  perWord.sort((a, b) => a.length - b.length);
+  let candidates = new Set(perWord[0]);
+  for (const ids of perWord.slice(1)) {
+    const next = new Set();
+    ids.forEach(id => candidates.has(id) && next.add(id));
+    candidates = next;
+  }
+  return [...candidates];
+}
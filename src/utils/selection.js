@@ -0,0 +1,81 @@
+// src/utils/selection.js
+
+/**
+ * Row selection model
+ * Either an explicit set of ids, or "every row matching the current query"
+ * minus a set of exclusions, so selecting all 1M rows never loads them.
+ * Selections are immutable; every helper returns a new object.
+ */
+
+import { getCustomerIds } from './customerApi';
+
+export const EMPTY_SELECTION = { all: false, ids: new Set(), excluded: new Set() };
+
+/**
+ * Select every row matching the current query
+ */
+export function selectAllMatching() {
+  return { all: true, ids: new Set(), excluded: new Set() };
+}
+
+/**
+ * Check if a row is selected
+ * @param {Object} selection - Selection
+ * @param {number} id - Customer ID
+ * @returns {boolean} True if selected
+ */
+export function isRowSelected(selection, id) {
+  return selection.all ? !selection.excluded.has(id) : selection.ids.has(id);
+}
+
+/**
+ * Select or deselect rows
+ * @param {Object} selection - Selection
+ * @param {Iterable<number>} ids - Customer ids
+ * @param {boolean} selected - True to select, false to deselect
+ * @returns {Object} New selection
+ */
+export function setRowsSelected(selection, ids, selected) {
+  if (selection.all) {
+    const excluded = new Set(selection.excluded);
+    for (const id of ids) {
+      if (selected) excluded.delete(id);
+      else excluded.add(id);
+    }
+    return { ...selection, excluded };
+  }
+
+  const next = new Set(selection.ids);
+  for (const id of ids) {
+    if (selected) next.add(id);
+    else next.delete(id);
+  }
+  return { ...selection, ids: next };
+}
+
+/**
+ * Number of selected rows
+ * @param {Object} selection - Selection
+ * @param {number} total - Rows matching the current query
+ * @returns {number} Selected count
+ */
+export function getSelectedCount(selection, total) {
+  return selection.all ? total - selection.excluded.size : selection.ids.size;
+}
+
+/**
+ * Turn a selection into customer ids
+ * @param {Object} selection - Selection
+ * @param {Object} query - { search, sort, filters } the selection was made on
+ * @returns {Promise<ArrayLike<number>>} Selected ids, in display order for "all"
+ */
+export async function resolveSelectedIds(selection, query) {
+  if (!selection.all) {
+    return Array.from(selection.ids);
+  }
+
+  const { ids } = await getCustomerIds(query);
+  return selection.excluded.size > 0
+    ? ids.filter(id => !selection.excluded.has(id))
+    : ids;
+}
@@ -0,0 +1,211 @@
+// src/utils/sortIndex.js
+
+/**
+ * Global sort order over stored and virtual customers
+ * Stored customers come pre-sorted from an IndexedDB index, virtual customers
+ * are sorted once by a numeric key. The two lists are merged by remembering
+ * where each stored customer falls inside the virtual list, so any page of
+ * the global order can be read without walking from row 0.
+ */
+
+// Largest key span handled by counting sort instead of a comparison sort
+const COUNTING_SORT_MAX_SPAN = 1 << 16;
+
+/**
+ * Sort ids by numeric key, keeping ascending id order for equal keys
+ * @param {Uint32Array} ids - Ids in ascending order
+ * @param {Float64Array} keys - keys[i] is the sort key of ids[i]
+ * @returns {Uint32Array} Sorted ids
+ */
+export function sortIdsByKey(ids, keys) {
+  let min = Infinity;
+  let max = -Infinity;
+  let integers = true;
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (key < min) min = key;
+    if (key > max) max = key;
+    if (integers && !Number.isInteger(key)) integers = false;
+  }
+
+  // Small integer keys (score, day, name rank): stable counting sort in O(n)
+  if (integers && max - min < COUNTING_SORT_MAX_SPAN) {
+    const counts = new Uint32Array(max - min + 2);
+    for (let i = 0; i < keys.length; i++) {
+      counts[keys[i] - min + 1]++;
+    }
+    for (let i = 1; i < counts.length; i++) {
+      counts[i] += counts[i - 1];
+    }
+
+    const sorted = new Uint32Array(ids.length);
+    for (let i = 0; i < ids.length; i++) {
+      sorted[counts[keys[i] - min]++] = ids[i];
+    }
+    return sorted;
+  }
+
+  const order = new Uint32Array(ids.length);
+  for (let i = 0; i < order.length; i++) order[i] = i;
+  order.sort((a, b) => keys[a] - keys[b] || a - b);
+
+  return order.map(i => ids[i]);
+}
+
+/**
+ * Compare two field values the way IndexedDB orders index keys
+ */
+export function compareValues(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Build a merged ascending order
+ * @param {Object} params
+ * @param {Uint32Array} params.virtualIds - Virtual ids sorted by the field
+ * @param {Function} params.virtualValue - (id) => field value of a virtual id
+ * @param {Function} params.virtualKey - (id) => numeric sort key of a virtual id,
+ *   equal exactly when the values are equal
+ * @param {Array} params.storedIds - Stored ids sorted by the field
+ * @param {Array} params.storedValues - Field values matching storedIds
+ * @returns {Object} Sort index with total, getIds(), filterIds() and getRanks()
+ */
+export function createSortIndex({ virtualIds, virtualValue, virtualKey, storedIds, storedValues }) {
+  const storedCount = storedIds.length;
+  const total = storedCount + virtualIds.length;
+
+  // globalPos[i]: position of stored customer i in the merged ascending order.
+  // Stored customers go before virtual ones with an equal value.
+  const globalPos = new Uint32Array(storedCount);
+  let low = 0;
+  for (let i = 0; i < storedCount; i++) {
+    let high = virtualIds.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (compareValues(virtualValue(virtualIds[mid]), storedValues[i]) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    globalPos[i] = low + i;
+  }
+
+  /**
+   * Number of stored customers before a global ascending position
+   */
+  const storedBefore = (position) => {
+    let lo = 0;
+    let hi = storedCount;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (globalPos[mid] < position) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  /**
+   * Ids for ascending positions [start, end)
+   */
+  const ascendingIds = (start, end) => {
+    const ids = [];
+    let s = storedBefore(start);
+    let v = start - s;
+
+    for (let position = start; position < end; position++) {
+      if (s < storedCount && globalPos[s] === position) {
+        ids.push(storedIds[s++]);
+      } else {
+        ids.push(virtualIds[v++]);
+      }
+    }
+    return ids;
+  };
+
+  return {
+    total,
+
+    /**
+     * Ids of one page of the global order
+     * @param {number} offset - Starting index
+     * @param {number} limit - Number of ids
+     * @param {string} sortOrder - 'asc' or 'desc'
+     * @returns {Array<number>} Customer ids
+     */
+    getIds(offset, limit, sortOrder) {
+      const start = Math.max(0, Math.min(total, offset));
+      const end = Math.min(total, start + limit);
+
+      if (sortOrder === 'desc') {
+        return ascendingIds(total - end, total - start).reverse();
+      }
+      return ascendingIds(start, end);
+    },
+
+    /**
+     * Put a set of ids into the global order
+     * @param {Uint8Array} selected - selected[id] is 1 for ids to keep
+     * @param {number} count - Number of selected ids
+     * @param {string} sortOrder - 'asc' or 'desc'
+     * @returns {Uint32Array} Selected ids in sort order
+     */
+    filterIds(selected, count, sortOrder) {
+      const result = new Uint32Array(count);
+      let n = 0;
+      let v = 0;
+      let s = 0;
+
+      for (let position = 0; position < total && n < count; position++) {
+        const id = s < storedCount && globalPos[s] === position
+          ? storedIds[s++]
+          : virtualIds[v++];
+        if (selected[id]) result[n++] = id;
+      }
+
+      return sortOrder === 'desc' ? result.reverse() : result;
+    },
+
+    /**
+     * Rank every id by its value, for sorting by several fields
+     * Equal values share a rank, so a later sort key can order them
+     * @param {number} size - Length of the result (largest id + 1)
+     * @returns {Uint32Array} ranks[id], ascending from 0
+     */
+    getRanks(size) {
+      const ranks = new Uint32Array(size);
+      let rank = 0;
+      let v = 0;
+      let s = 0;
+      let previousId = -1;
+      let previousStored = -1; // Index into storedIds, -1 for a virtual id
+
+      for (let position = 0; position < total; position++) {
+        const stored = s < storedCount && globalPos[s] === position ? s++ : -1;
+        const id = stored >= 0 ? storedIds[stored] : virtualIds[v++];
+
+        if (position > 0) {
+          let same;
+          if (previousStored >= 0 && stored >= 0) {
+            same = compareValues(storedValues[previousStored], storedValues[stored]) === 0;
+          } else if (previousStored < 0 && stored < 0) {
+            same = virtualKey(previousId) === virtualKey(id);
+          } else {
+            const storedValue = storedValues[Math.max(previousStored, stored)];
+            same = compareValues(storedValue, virtualValue(stored < 0 ? id : previousId)) === 0;
+          }
+          if (!same) rank++;
+        }
+
+        ranks[id] = rank;
+        previousId = id;
+        previousStored = stored;
+      }
+
+      return ranks;
+    }
+  };
+}
@@ -0,0 +1,148 @@
+// src/utils/sortIndex.test.js
+
+/**
+ * Global sort order over stored and generated customers, checked against
+ * sorting every record
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { compareValues } from './sortIndex';
+import { defaultDataSource } from './dataSource';
+import {
+  createCustomer,
+  deleteCustomer,
+  getCustomerIds,
+  invalidateQueryCaches,
+  resetDataset,
+  seedCustomers,
+  updateCustomer
+} from './indexedDB';
+
+const VIRTUAL_TOTAL = 1000000;
+const STORED_SIZE = 200;
+
+const FIELDS = ['name', 'email', 'phone', 'score', 'lastMessageAt', 'addedBy'];
+
+// Customers in the database: the seeded ones, overrides of generated ones
+// and new ones
+const stored = new Map();
+let ids;
+const valueCache = new Map();
+
+/**
+ * Field values of every customer, matching ids
+ */
+function valuesOf(field) {
+  if (!valueCache.has(field)) {
+    valueCache.set(field, Array.from(ids, id => (stored.get(id) ?? defaultDataSource.generate(id))[field]));
+  }
+  return valueCache.get(field);
+}
+
+/**
+ * Compare positions in ids by a field: stored customers go before generated
+ * ones with an equal value, then ids ascend
+ */
+function comparePositions(field) {
+  const values = valuesOf(field);
+  return (a, b) =>
+    compareValues(values[a], values[b]) ||
+    Number(!stored.has(ids[a])) - Number(!stored.has(ids[b])) ||
+    ids[a] - ids[b];
+}
+
+function sortPositions(compare) {
+  return Array.from(ids.keys()).sort(compare);
+}
+
+function idsAt(positions) {
+  return Uint32Array.from(positions, i => ids[i]);
+}
+
+/**
+ * First index where two id lists differ with the ids around it, or null
+ */
+function firstDifference(actual, expected) {
+  const length = Math.max(actual.length, expected.length);
+  for (let i = 0; i < length; i++) {
+    if (actual[i] !== expected[i]) {
+      return { index: i, actual: Array.from(actual.slice(i, i + 5)), expected: Array.from(expected.slice(i, i + 5)) };
+    }
+  }
+  return null;
+}
+
+beforeAll(async () => {
+  globalThis.indexedDB = new IDBFactory();
+  invalidateQueryCaches();
+  await resetDataset({ size: STORED_SIZE, seed: 0 });
+  await seedCustomers({ batchSize: 1000 });
+  for (let id = 1; id <= STORED_SIZE; id++) stored.set(id, defaultDataSource.generate(id));
+
+  const edits = [
+    [5, { name: 'Zed Override', score: 0 }],
+    [17, { email: 'aaa@example.com', addedBy: defaultDataSource.dictionaries.agents[0] }],
+    [500000, { name: 'Aaron Aaronson', score: 99 }],
+    [612345, { lastMessageAt: new Date(0).toISOString(), phone: '+19999999999' }]
+  ];
+  for (const [id, changes] of edits) {
+    stored.set(id, await updateCustomer(id, changes));
+  }
+  const deleted = new Set([10, 700000, 555555]);
+  for (const id of deleted) {
+    await deleteCustomer(id);
+    stored.delete(id);
+  }
+  // Same values as a generated customer, so ties between the two are covered
+  const twin = defaultDataSource.generate(300000);
+  const created = await createCustomer({
+    name: twin.name,
+    phone: '+15550001212',
+    email: twin.email,
+    score: twin.score,
+    addedBy: twin.addedBy
+  });
+  stored.set(created.id, created);
+
+  const present = [];
+  for (let id = 1; id <= VIRTUAL_TOTAL; id++) {
+    if (stored.has(id) || (id > STORED_SIZE && !deleted.has(id))) present.push(id);
+  }
+  present.push(...[...stored.keys()].filter(id => id > VIRTUAL_TOTAL));
+  ids = Uint32Array.from(present);
+}, 60000);
+
+describe('global sort order', () => {
+  it.each(FIELDS)('orders every customer by %s like a full sort', async (field) => {
+    const expected = idsAt(sortPositions(comparePositions(field)));
+
+    const ascending = await getCustomerIds({ sort: [{ field, order: 'asc' }] });
+    expect(ascending.total).toBe(expected.length);
+    expect(firstDifference(ascending.ids, expected)).toBeNull();
+
+    const descending = Uint32Array.from(expected).reverse();
+    for (const offset of [0, 137, 499990, expected.length - 20]) {
+      const page = await getCustomerIds({ offset, limit: 50, sort: [{ field, order: 'desc' }] });
+      expect(Array.from(page.ids)).toEqual(Array.from(descending.slice(offset, offset + 50)));
+    }
+    valueCache.delete(field);
+  }, 60000);
+
+  it('sorts matching customers by several fields', async () => {
+    // Equal agents keep the descending score order, ties included
+    const agents = valuesOf('addedBy');
+    const scores = valuesOf('score');
+    const byScore = comparePositions('score');
+    const positions = sortPositions((a, b) => compareValues(agents[a], agents[b]) || byScore(b, a));
+
+    const sort = [{ field: 'addedBy', order: 'asc' }, { field: 'score', order: 'desc' }];
+    const { ids: actual } = await getCustomerIds({ sort });
+    expect(firstDifference(actual, idsAt(positions))).toBeNull();
+
+    // Filtered by the query language: only matching ids, same order
+    const { ids: filtered } = await getCustomerIds({ search: 'score:>90', sort });
+    expect(firstDifference(filtered, idsAt(positions.filter(i => scores[i] > 90)))).toBeNull();
+  }, 120000);
+});
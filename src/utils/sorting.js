@@ -0,0 +1,109 @@
+// src/utils/sorting.js
+
+/**
+ * Sort model
+ * A sort is an ordered list of keys, e.g. agent ascending, then score
+ * descending: [{ field: 'addedBy', order: 'asc' }, { field: 'score', order: 'desc' }]
+ */
+
+// 'relevance' orders by how well customers match the search text (fuzzySearch.js)
+export const SORT_FIELDS = ['id', 'name', 'phone', 'email', 'score', 'lastMessageAt', 'addedBy', 'relevance'];
+
+export const DEFAULT_SORT = [{ field: 'id', order: 'asc' }];
+
+// Primary, secondary and tertiary key
+export const MAX_SORT_KEYS = 3;
+
+/**
+ * Clean up a sort: known fields only, each field once, at most MAX_SORT_KEYS keys
+ * Accepts the single-key shorthand { sortBy, sortOrder } used by older callers
+ * @param {Array|Object} sort - Sort keys, or { sort } / { sortBy, sortOrder }
+ * @returns {Array<Object>} Sort keys, DEFAULT_SORT when empty
+ */
+export function normalizeSort(sort) {
+  let keys = sort;
+  if (!Array.isArray(keys)) {
+    keys = sort?.sort || (sort?.sortBy ? [{ field: sort.sortBy, order: sort.sortOrder }] : []);
+  }
+
+  const fields = new Set();
+  const result = [];
+  for (const key of keys) {
+    if (!SORT_FIELDS.includes(key?.field) || fields.has(key.field)) continue;
+    fields.add(key.field);
+    result.push({ field: key.field, order: key.order === 'desc' ? 'desc' : 'asc' });
+  }
+
+  return result.length > 0 ? result.slice(0, MAX_SORT_KEYS) : DEFAULT_SORT;
+}
+
+/**
+ * Sort after clicking a column header
+ * A plain click sorts by that column only, toggling its direction when it
+ * already is the only key. A shift-click adds the column as the next key,
+ * or cycles an existing key from ascending to descending to removed.
+ * @param {Array<Object>} sort - Current sort keys
+ * @param {string} field - Clicked column's sort field
+ * @param {boolean} add - Shift was held
+ * @returns {Array<Object>} New sort keys
+ */
+export function toggleSortKey(sort, field, add) {
+  const existing = sort.find(key => key.field === field);
+
+  if (!add) {
+    const order = sort.length === 1 && existing?.order === 'asc' ? 'desc' : 'asc';
+    return [{ field, order }];
+  }
+
+  if (!existing) {
+    return sort.length < MAX_SORT_KEYS ? [...sort, { field, order: 'asc' }] : sort;
+  }
+  if (existing.order === 'asc') {
+    return sort.map(key => (key.field === field ? { field, order: 'desc' } : key));
+  }
+  return normalizeSort(sort.filter(key => key.field !== field));
+}
+
+/**
+ * Sort by search relevance, most relevant first
+ */
+export const RELEVANCE_SORT = [{ field: 'relevance', order: 'desc' }];
+
+/**
+ * Drop the relevance key, e.g. once the search is cleared
+ * @param {Array<Object>} sort - Sort keys
+ * @returns {Array<Object>} Sort keys, the same array when there was no relevance key
+ */
+export function withoutRelevance(sort) {
+  if (!sort.some(key => key.field === 'relevance')) return sort;
+  return normalizeSort(sort.filter(key => key.field !== 'relevance'));
+}
+
+/**
+ * Check whether two sorts are the same
+ */
+export function sortEquals(a, b) {
+  return a.length === b.length &&
+    a.every((key, index) => key.field === b[index].field && key.order === b[index].order);
+}
+
+/**
+ * Write a sort as "field:order,field:order"
+ * @param {Array<Object>} sort - Sort keys
+ * @returns {string} Text form, e.g. "addedBy:asc,score:desc"
+ */
+export function formatSort(sort) {
+  return sort.map(key => `${key.field}:${key.order}`).join(',');
+}
+
+/**
+ * Read a sort written by formatSort
+ * @param {string} text - Text form
+ * @returns {Array<Object>} Sort keys, DEFAULT_SORT when nothing valid is found
+ */
+export function parseSort(text) {
+  return normalizeSort((text || '').split(',').map(part => {
+    const [field, order] = part.split(':');
+    return { field, order };
+  }));
+}
@@ -0,0 +1,76 @@
+// src/utils/tabSync.js
+
+/**
+ * Coordination between open DoubleTick tabs
+ * Tabs talk over one BroadcastChannel: a message is { type, ...data } and
+ * reaches every other tab, never the one that sent it. Web Locks let a task
+ * run in one tab at a time. Without either API the app behaves as if it
+ * were the only tab.
+ *
+ * Message types:
+ *   'seed-progress' { current, total } - the tab seeding the database wrote records
+ *   'data-change' { method } - a tab finished writing customers (see customerApi.js)
+ */
+
+const CHANNEL_NAME = 'doubletick';
+
+let channel = null;
+
+// Listeners by message type
+const listeners = new Map();
+
+/**
+ * Open the channel on first use
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      listeners.get(event.data?.type)?.forEach(listener => listener(event.data));
+    };
+  }
+  return channel;
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {Object} message - { type, ...data }, must be structured-cloneable
+ */
+export function postTabMessage(message) {
+  getChannel()?.postMessage(message);
+}
+
+/**
+ * Listen for messages of one type from other tabs
+ * @param {string} type - Message type
+ * @param {Function} listener - Called with the message
+ * @returns {Function} Unsubscribe
+ */
+export function onTabMessage(type, listener) {
+  getChannel();
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+  }
+  listeners.get(type).add(listener);
+  return () => listeners.get(type).delete(listener);
+}
+
+/**
+ * Run a task while holding a lock shared by all tabs
+ * The lock is released when the task settles or the tab closes.
+ * @param {string} name - Lock name
+ * @param {Function} task - async () => result
+ * @param {Function} onWait - Called when another tab holds the lock, before waiting for it
+ * @returns {Promise<*>} Result of the task
+ */
+export async function runExclusive(name, task, onWait) {
+  if (!navigator.locks) return task();
+
+  const acquired = await navigator.locks.request(name, { ifAvailable: true }, async (lock) => (
+    lock ? { result: await task() } : null
+  ));
+  if (acquired) return acquired.result;
+
+  if (onWait) onWait();
+  return navigator.locks.request(name, task);
+}
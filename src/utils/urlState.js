@@ -0,0 +1,107 @@
+// src/utils/urlState.js
+
+/**
+ * Table state <-> query string
+ * Example: ?q=smith&sort=addedBy:asc,score:desc&score=80-&date=last30&agent=Agent+Smith&row=45000
+ * Parameters equal to the default view are left out.
+ */
+
+import { EMPTY_FILTERS, DATE_PRESETS } from './filters';
+import { DEFAULT_SORT, formatSort, parseSort, sortEquals } from './sorting';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Default view: no search, id order, no filters, first row
+ */
+export const DEFAULT_URL_STATE = {
+  searchTerm: '',
+  sort: DEFAULT_SORT,
+  filters: EMPTY_FILTERS,
+  row: 1
+};
+
+/**
+ * Parse "min-max" with either side optional
+ */
+function parseScoreRange(value) {
+  const match = /^(\d{1,3})?-(\d{1,3})?$/.exec(value || '');
+  if (!match) return { scoreMin: null, scoreMax: null };
+
+  const bound = (text) => (text === undefined ? null : Math.min(100, Number(text)));
+  return { scoreMin: bound(match[1]), scoreMax: bound(match[2]) };
+}
+
+/**
+ * Parse a date preset id, or "from..to" with either side optional
+ */
+function parseDateRange(value) {
+  const none = { datePreset: null, dateFrom: null, dateTo: null };
+  if (!value) return none;
+
+  if (DATE_PRESETS.some(preset => preset.id === value)) {
+    return { ...none, datePreset: value };
+  }
+
+  const [from = '', to = ''] = value.split('..');
+  return {
+    ...none,
+    dateFrom: DATE_PATTERN.test(from) ? from : null,
+    dateTo: DATE_PATTERN.test(to) ? to : null
+  };
+}
+
+/**
+ * Read table state from a query string
+ * Unknown or malformed values fall back to the defaults
+ * @param {string} search - location.search
+ * @returns {Object} { searchTerm, sort, filters, row }
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const row = parseInt(params.get('row'), 10);
+
+  return {
+    searchTerm: params.get('q') || '',
+    sort: parseSort(params.get('sort')),
+    filters: {
+      ...EMPTY_FILTERS,
+      ...parseScoreRange(params.get('score')),
+      ...parseDateRange(params.get('date')),
+      agents: params.getAll('agent')
+    },
+    row: row >= 1 ? row : 1
+  };
+}
+
+/**
+ * Write table state as a query string
+ * @param {Object} state - { searchTerm, sort, filters, row }
+ * @returns {string} Query string including "?", or '' for the default view
+ */
+export function toUrlSearch({ searchTerm, sort, filters, row }) {
+  const params = new URLSearchParams();
+
+  if (searchTerm) {
+    params.set('q', searchTerm);
+  }
+  if (!sortEquals(sort, DEFAULT_SORT)) {
+    params.set('sort', formatSort(sort));
+  }
+  if (filters.scoreMin != null || filters.scoreMax != null) {
+    params.set('score', `${filters.scoreMin ?? ''}-${filters.scoreMax ?? ''}`);
+  }
+  if (filters.datePreset) {
+    params.set('date', filters.datePreset);
+  } else if (filters.dateFrom || filters.dateTo) {
+    params.set('date', `${filters.dateFrom ?? ''}..${filters.dateTo ?? ''}`);
+  }
+  filters.agents.forEach(agent => params.append('agent', agent));
+  if (row > 1) {
+    params.set('row', String(row));
+  }
+
+  // ":" and "," are valid in a query string and keep sort=addedBy:asc,score:desc readable
+  const query = params.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+  return query ? `?${query}` : '';
+}
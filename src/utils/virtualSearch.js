@@ -0,0 +1,196 @@
+// src/utils/virtualSearch.js
+
+/**
+ * Search over generated (virtual) customers without generating them
+ * Relies on the record layout documented in dataSource.js.
+ * Letter-only terms are resolved per name combination and domain, terms with
+ * digits are inverted into the ids whose digits can contain them.
+ */
+
+const PHONE_DIGITS = 10;
+
+// Fields the search box looks at
+const SEARCH_FIELDS = ['name', 'email', 'phone'];
+
+/**
+ * Call fn for every id in [from, to] whose 10-digit padded form has the
+ * given digits at a fixed offset
+ * @param {string} digits - Digits to place
+ * @param {number} offset - Position inside the padded number
+ * @param {number} from - First id
+ * @param {number} to - Last id
+ * @param {Function} fn - Called with each id
+ */
+function forEachIdWithDigitsAt(digits, offset, from, to, fn) {
+  const after = PHONE_DIGITS - offset - digits.length;
+  if (after < 0) return;
+
+  const tail = 10 ** after;
+  const block = tail * 10 ** digits.length;
+  const middle = Number(digits) * tail;
+
+  for (let head = Math.floor(from / block); head <= Math.floor(to / block); head++) {
+    const base = head * block + middle;
+    const first = Math.max(base, from);
+    const last = Math.min(base + tail - 1, to);
+    for (let id = first; id <= last; id++) fn(id);
+  }
+}
+
+/**
+ * Call fn for every id in [from, to] whose decimal form starts with digits
+ * @param {string} digits - Digits the id starts with
+ * @param {number} from - First id
+ * @param {number} to - Last id
+ * @param {Function} fn - Called with each id
+ */
+export function forEachIdWithDigitPrefix(digits, from, to, fn) {
+  if (digits[0] === '0') return;
+
+  const value = Number(digits);
+  for (let scale = 1; value * scale <= to; scale *= 10) {
+    const first = Math.max(value * scale, from);
+    const last = Math.min(value * scale + scale - 1, to);
+    for (let id = first; id <= last; id++) fn(id);
+  }
+}
+
+/**
+ * Call fn for every id in [from, to] whose decimal form ends with digits
+ */
+function forEachIdWithDigitSuffix(digits, from, to, fn) {
+  const step = 10 ** digits.length;
+  const value = Number(digits);
+  let id = value + Math.max(0, Math.ceil((from - value) / step)) * step;
+
+  for (; id <= to; id += step) {
+    if (String(id).endsWith(digits)) fn(id);
+  }
+}
+
+/**
+ * Find virtual ids whose name, email or phone contains the search term
+ * Matches the same rules as the stored-record search: case-insensitive on
+ * name and email, literal on phone
+ * @param {string} search - Search term
+ * @param {Object} layout - { from, to } plus the data source dictionaries
+ *   (firstNames, lastNames, domains, countryCode)
+ * @param {Array<string>} fields - Fields to look in (default name, email and phone)
+ * @returns {Uint8Array} matches[id] is 1 for matching ids (indexed by id)
+ */
+export function searchVirtualRange(
+  search,
+  { from, to, firstNames, lastNames, domains, countryCode },
+  fields = SEARCH_FIELDS
+) {
+  const matches = new Uint8Array(to + 1);
+  const term = search.toLowerCase();
+  const mark = (id) => { matches[id] = 1; };
+  const inName = fields.includes('name');
+  const inEmail = fields.includes('email');
+  const inPhone = fields.includes('phone');
+
+  // Matches per name combination and per domain, indexed like the data source
+  const nameMatch = [];
+  const prefixes = [];
+  for (const last of lastNames) {
+    for (const first of firstNames) {
+      const prefix = `${first.toLowerCase()}.${last.toLowerCase()}`;
+      prefixes.push(prefix);
+      nameMatch.push(
+        (inName && `${first} ${last}`.toLowerCase().includes(term)) ||
+        (inEmail && prefix.includes(term))
+      );
+    }
+  }
+  const domainMatch = domains.map(domain => inEmail && `@${domain}`.includes(term));
+  const combination = (id) =>
+    id % firstNames.length + firstNames.length * (Math.floor(id / firstNames.length) % lastNames.length);
+
+  if (!/\d/.test(term)) {
+    // Letters only: names and domains decide, a bare '+' matches every phone
+    const everyPhone = inPhone && search === '+';
+    for (let id = from; id <= to; id++) {
+      if (everyPhone || nameMatch[combination(id)] || domainMatch[id % domains.length]) {
+        matches[id] = 1;
+      }
+    }
+    return matches;
+  }
+
+  // Phone: '+', the country code, then the id padded to 10 digits
+  const phone = /^(\+?)(\d+)$/.exec(search);
+  if (phone && inPhone) {
+    const [, plus, digits] = phone;
+    // Terms starting inside the country code continue at the padded id
+    for (let start = 0; start < countryCode.length && !(plus && start > 0); start++) {
+      const code = countryCode.slice(start);
+      if (code.startsWith(digits)) {
+        for (let id = from; id <= to; id++) matches[id] = 1;
+        return matches;
+      }
+      if (digits.startsWith(code)) {
+        forEachIdWithDigitsAt(digits.slice(code.length), 0, from, to, mark);
+      }
+    }
+    if (!plus) {
+      for (let offset = 0; offset + digits.length <= PHONE_DIGITS; offset++) {
+        forEachIdWithDigitsAt(digits, offset, from, to, mark);
+      }
+    }
+  }
+
+  // Email: digits come from the id only, preceded by the name prefix and
+  // followed by '@domain'. All-digit terms are covered by the phone when
+  // searching both; on their own they need the id without padding.
+  const email = /^(\D*)(\d+)(\D*)$/.exec(term);
+  if (email && inEmail && !email[1] && !email[3] && !inPhone) {
+    for (let offset = 0; offset + term.length <= PHONE_DIGITS; offset++) {
+      forEachIdWithDigitsAt(term, offset, from, to, (id) => {
+        if (String(id).includes(term)) matches[id] = 1;
+      });
+    }
+  }
+  if (email && inEmail && (email[1] || email[3])) {
+    const [, before, digits, after] = email;
+    if (after && !after.startsWith('@')) return matches;
+
+    const prefixOk = (id) => !before || prefixes[combination(id)].endsWith(before);
+    const domainOk = (id) => !after || `@${domains[id % domains.length]}`.startsWith(after);
+    const check = (id) => {
+      if (prefixOk(id) && domainOk(id)) matches[id] = 1;
+    };
+
+    if (before && after) {
+      // Digits are the whole id
+      const id = Number(digits);
+      if (digits[0] !== '0' && id >= from && id <= to) check(id);
+    } else if (before) {
+      forEachIdWithDigitPrefix(digits, from, to, check);
+    } else {
+      forEachIdWithDigitSuffix(digits, from, to, check);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Find virtual ids whose email domain is the given domain or below it
+ * @param {string} domain - Domain, e.g. 'gmail.com' or 'com'
+ * @param {Object} layout - Same as searchVirtualRange
+ * @returns {Uint8Array} matches[id] is 1 for matching ids (indexed by id)
+ */
+export function matchVirtualDomain(domain, { from, to, domains }) {
+  const matches = new Uint8Array(to + 1);
+  const wanted = domain.toLowerCase();
+  const domainMatch = domains.map(name => {
+    const lower = name.toLowerCase();
+    return lower === wanted || lower.endsWith(`.${wanted}`);
+  });
+
+  for (let id = from; id <= to; id++) {
+    if (domainMatch[id % domains.length]) matches[id] = 1;
+  }
+  return matches;
+}
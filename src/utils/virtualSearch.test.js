@@ -0,0 +1,165 @@
+// src/utils/virtualSearch.test.js
+
+/**
+ * Search over generated customers, checked against generating every record
+ * and looking at its fields
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { matchVirtualDomain, searchVirtualRange } from './virtualSearch';
+import { defaultDataSource } from './dataSource';
+import { createTextMatcher } from './fuzzySearch';
+import { createFilterPredicate } from './filters';
+import { resolveSearch } from './queryLanguage';
+import {
+  createCustomer,
+  deleteCustomer,
+  getCustomerIds,
+  invalidateQueryCaches,
+  resetDataset,
+  seedCustomers,
+  updateCustomer
+} from './indexedDB';
+
+const VIRTUAL_TOTAL = 1000000;
+const STORED_SIZE = 200;
+
+// Id ranges with short ids and ids using every phone digit
+const RANGES = [[STORED_SIZE + 1, 25000], [985000, VIRTUAL_TOTAL]];
+
+const TERMS = [
+  'mary', 'smith', 'ry sm', 'ry.sm', 'gmail', '@gmail.com', '.com', 'a', '+',
+  '5', '12', '555', '0050', '1000', '99999', '0000985123', '+1', '+10', '+1000', '+10000987654', '10000987654', '0000',
+  'smith12', 'y.smith', 'smith1234@', '123@gmail.com', '4@', '12@gma', 'h9', '.smith98', 'mary.smith1000@gmail.com'
+];
+
+const FIELD_SETS = [undefined, ['name'], ['email'], ['phone']];
+
+/**
+ * Ids in [from, to] whose fields contain the term, found by generating them
+ */
+function bruteForceSearch(term, from, to, fields = ['name', 'email', 'phone']) {
+  const lower = term.toLowerCase();
+  const ids = [];
+  for (let id = from; id <= to; id++) {
+    const customer = defaultDataSource.generate(id);
+    if (
+      (fields.includes('name') && customer.name.toLowerCase().includes(lower)) ||
+      (fields.includes('email') && customer.email.toLowerCase().includes(lower)) ||
+      (fields.includes('phone') && customer.phone.includes(term))
+    ) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+function matchedIds(matches, from, to) {
+  const ids = [];
+  for (let id = from; id <= to; id++) {
+    if (matches[id]) ids.push(id);
+  }
+  return ids;
+}
+
+describe('searchVirtualRange', () => {
+  RANGES.forEach(([from, to]) => {
+    it.each(FIELD_SETS.map(fields => [fields ? fields.join(', ') : 'all fields', fields]))(
+      `finds the same ids as generating ${from}..${to} in %s`,
+      (label, fields) => {
+        const layout = { from, to, ...defaultDataSource.dictionaries };
+
+        TERMS.forEach(term => {
+          const found = matchedIds(searchVirtualRange(term, layout, fields), from, to);
+          expect([term, found]).toEqual([term, bruteForceSearch(term, from, to, fields)]);
+        });
+      }
+    );
+  });
+});
+
+describe('matchVirtualDomain', () => {
+  it('finds the ids below a domain', () => {
+    const [from, to] = RANGES[0];
+    const layout = { from, to, ...defaultDataSource.dictionaries };
+
+    ['gmail.com', 'com', 'uk', 'mail.com'].forEach(domain => {
+      const expected = [];
+      for (let id = from; id <= to; id++) {
+        const emailDomain = defaultDataSource.generate(id).email.split('@')[1];
+        if (emailDomain === domain || emailDomain.endsWith(`.${domain}`)) expected.push(id);
+      }
+      expect([domain, matchedIds(matchVirtualDomain(domain, layout), from, to)]).toEqual([domain, expected]);
+    });
+  });
+});
+
+describe('search over stored and generated customers', () => {
+  // Customers in the database: the seeded ones, overrides of generated
+  // ones and new ones; deleted lists removed ids
+  const stored = new Map();
+  const deleted = new Set();
+
+  beforeAll(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    invalidateQueryCaches();
+    await resetDataset({ size: STORED_SIZE, seed: 0 });
+    await seedCustomers({ batchSize: 1000 });
+    for (let id = 1; id <= STORED_SIZE; id++) stored.set(id, defaultDataSource.generate(id));
+
+    const edits = [
+      [5, { name: 'Zed Override' }],
+      [500000, { name: 'Aaron Aaronson', score: 99 }],
+      [612345, { email: 'mary.smith612345@example.org' }]
+    ];
+    for (const [id, changes] of edits) {
+      stored.set(id, await updateCustomer(id, changes));
+    }
+    for (const id of [10, 700000, 555555]) {
+      await deleteCustomer(id);
+      stored.delete(id);
+      deleted.add(id);
+    }
+    const created = await createCustomer({
+      name: 'Mary Newcomer',
+      phone: '+15550001212',
+      email: 'mary.new@example.com',
+      score: 50,
+      addedBy: defaultDataSource.dictionaries.agents[0]
+    });
+    stored.set(created.id, created);
+  }, 60000);
+
+  it('finds the same customers as checking every record', async () => {
+    const agent = defaultDataSource.dictionaries.agents[1];
+    const queries = [
+      'mary 12',
+      '555',
+      'aaron',
+      '+10000700000',
+      'name:mary phone:1212',
+      `-name:james domain:gmail.com score:>97 agent:"${agent}"`
+    ].map(search => {
+      const { text, filters } = resolveSearch(search, { agents: defaultDataSource.dictionaries.agents });
+      const matchText = text.trim() ? createTextMatcher(text) : null;
+      const predicate = filters && createFilterPredicate(filters);
+      return { search, matches: (customer) => (!matchText || matchText(customer) > 0) && (!predicate || predicate(customer)), ids: [] };
+    });
+
+    const check = (customer) => queries.forEach(query => {
+      if (query.matches(customer)) query.ids.push(customer.id);
+    });
+    for (let id = 1; id <= VIRTUAL_TOTAL; id++) {
+      if (stored.has(id)) check(stored.get(id));
+      else if (id > STORED_SIZE && !deleted.has(id)) check(defaultDataSource.generate(id));
+    }
+    [...stored.keys()].filter(id => id > VIRTUAL_TOTAL).forEach(id => check(stored.get(id)));
+
+    for (const { search, ids } of queries) {
+      const result = await getCustomerIds({ search, sort: [{ field: 'id', order: 'asc' }] });
+      expect([search, Array.from(result.ids)]).toEqual([search, ids]);
+    }
+  }, 120000);
+});
@@ -0,0 +1,213 @@
+// src/utils/xlsxWriter.js
+
+/**
+ * Minimal streaming XLSX writer
+ * Writes a single worksheet with inline strings into an uncompressed
+ * (stored) ZIP package. Rows are encoded as they are added and kept as
+ * Blob parts, so large exports never build one huge string.
+ */
+
+const encoder = new TextEncoder();
+
+const SHEET_PATH = 'xl/worksheets/sheet1.xml';
+
+// CRC-32 lookup table (IEEE polynomial), as required by ZIP
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Continue a CRC-32 over more bytes
+ * @param {Uint8Array} bytes - Next bytes
+ * @param {number} crc - CRC of the bytes so far (0 to start)
+ * @returns {number} Updated CRC
+ */
+function crc32(bytes, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 does not allow
+ */
+function escapeXml(text) {
+  return text
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Column letters for a 0-based column index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Format one cell; finite numbers are stored as numbers, everything else as text
+ */
+function cellXml(value, ref) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  const text = value == null ? '' : escapeXml(String(value));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * Format one row; rowNumber is 1-based
+ */
+function rowXml(values, columns, rowNumber) {
+  const cells = values.map((value, index) => cellXml(value, columns[index] + rowNumber));
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+/**
+ * A ZIP entry whose contents are appended in chunks
+ */
+function createEntry(name) {
+  return { name: encoder.encode(name), parts: [], size: 0, crc: 0 };
+}
+
+function appendToEntry(entry, text) {
+  const bytes = encoder.encode(text);
+  entry.crc = crc32(bytes, entry.crc);
+  entry.size += bytes.length;
+  entry.parts.push(new Blob([bytes]));
+}
+
+/**
+ * Build the ZIP file (no compression, DOS date 1980-01-01)
+ * @param {Array} entries - Entries from createEntry
+ * @returns {Blob} ZIP file
+ */
+function buildZip(entries, type) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true);         // Version needed to extract
+    local.setUint16(8, 0, true);          // Method: stored
+    local.setUint16(12, 0x21, true);      // Date
+    local.setUint32(14, entry.crc, true);
+    local.setUint32(18, entry.size, true);
+    local.setUint32(22, entry.size, true);
+    local.setUint16(26, entry.name.length, true);
+    parts.push(local, entry.name, ...entry.parts);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true); // Central directory signature
+    header.setUint16(4, 20, true);         // Version made by
+    header.setUint16(6, 20, true);         // Version needed to extract
+    header.setUint16(14, 0x21, true);      // Date
+    header.setUint32(16, entry.crc, true);
+    header.setUint32(20, entry.size, true);
+    header.setUint32(24, entry.size, true);
+    header.setUint16(28, entry.name.length, true);
+    header.setUint32(42, offset, true);    // Offset of the local header
+    central.push(header, entry.name);
+
+    offset += 30 + entry.name.length + entry.size;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type });
+}
+
+/**
+ * Fixed package parts: content types, relationships and the workbook
+ */
+function packageEntries(sheetName) {
+  const files = {
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      `<Override PartName="/${SHEET_PATH}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>'
+  };
+
+  return Object.entries(files).map(([name, content]) => {
+    const entry = createEntry(name);
+    appendToEntry(entry, content);
+    return entry;
+  });
+}
+
+/**
+ * Create an XLSX writer
+ * @param {string} sheetName - Worksheet name (max 31 characters in Excel)
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} { addRows(rows), finish() } - rows are arrays of cell values
+ */
+export function createXlsxWriter(sheetName, headers) {
+  const sheet = createEntry(SHEET_PATH);
+  const columns = headers.map((header, index) => columnName(index));
+  let rowCount = 1;
+  appendToEntry(
+    sheet,
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    rowXml(headers, columns, rowCount)
+  );
+
+  return {
+    addRows(rows) {
+      appendToEntry(sheet, rows.map(values => rowXml(values, columns, ++rowCount)).join(''));
+    },
+
+    finish() {
+      appendToEntry(sheet, '</sheetData></worksheet>');
+      return buildZip(
+        [...packageEntries(sheetName), sheet],
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+    }
+  };
+}
@@ -0,0 +1,101 @@
+// src/workers/customerWorker.js
+
+/**
+ * Dedicated worker running data generation and the IndexedDB query engine
+ * Receives { id, method, args } and answers with { id, type, ... } where
+ * type is 'progress', 'result' or 'error'. { id, method: 'cancel' } aborts
+ * a running request. Database events (blocked upgrade, version change in
+ * another tab) are sent as { type: 'database', event }. See
+ * utils/customerApi.js for the calling side.
+ */
+
+import * as db from '../utils/indexedDB';
+import { generateCustomerBatches } from '../utils/dataGenerator';
+
+// AbortControllers of running requests by request id
+const running = new Map();
+
+// Database events are not tied to a request and go to every listener
+db.setDatabaseListener(event => self.postMessage({ type: 'database', event }));
+
+/**
+ * Methods callable from the main thread
+ * Each receives { signal, onProgress } followed by the call arguments
+ */
+const METHODS = {
+  getCustomers: ({ signal }, params) => db.getCustomers({ ...params, signal }),
+  getCustomerIds: ({ signal }, params) => db.getCustomerIds({ ...params, signal }),
+  getCustomersByIds: (context, ids) => db.getCustomersByIds(ids),
+  getCustomerMessages: (context, customerId) => db.getCustomerMessages(customerId),
+  getScoreHistory: (context, customer) => db.getScoreHistory(customer),
+  hasData: () => db.hasData(),
+  findDuplicateCustomers: (context, customers) => db.findDuplicateCustomers(customers),
+  createCustomer: (context, fields) => db.createCustomer(fields),
+  updateCustomer: (context, id, changes) => db.updateCustomer(id, changes),
+  deleteCustomer: (context, id) => db.deleteCustomer(id),
+  setCustomerAvatar: (context, id, blob) => db.setCustomerAvatar(id, blob),
+  getAvatar: (context, key) => db.getAvatar(key),
+  updateCustomers: ({ onProgress }, ids, changes) => db.updateCustomers(ids, changes, onProgress),
+  deleteCustomers: ({ onProgress }, ids) => db.deleteCustomers(ids, onProgress),
+  addCustomerBatches: ({ onProgress }, batches, totalRecords) => db.addCustomerBatches(batches, totalRecords, onProgress),
+  getSavedViews: () => db.getSavedViews(),
+  saveView: (context, view) => db.saveView(view),
+  deleteView: (context, id) => db.deleteView(id),
+  getPreferences: (context, userId) => db.getPreferences(userId),
+  savePreferences: (context, userId, changes) => db.savePreferences(userId, changes),
+  getDataset: () => db.getDataset(),
+  resetDataset: (context, settings) => db.resetDataset(settings),
+  seedCustomers: ({ signal, onProgress }, options) => db.seedCustomers(options, onProgress, signal),
+  clearDatabase: () => db.clearDatabase(),
+  benchmarkSearch: ({ onProgress }, options) => db.benchmarkSearch(options, onProgress),
+  invalidateCaches: () => db.invalidateQueryCaches(),
+
+  // Batches are either sent along, or generated here from { batchSize }
+  saveCustomerBatches: ({ onProgress }, batchSource, totalRecords) => db.saveCustomerBatches(
+    Array.isArray(batchSource) ? batchSource : generateCustomerBatches(totalRecords, batchSource.batchSize),
+    totalRecords,
+    onProgress
+  )
+};
+
+/**
+ * Copy id arrays out of the large cached buffers they view,
+ * so only the requested ids are transferred
+ */
+function prepareResult(result) {
+  if (result && ArrayBuffer.isView(result.ids)) {
+    const ids = result.ids.slice();
+    return { message: { ...result, ids }, transfer: [ids.buffer] };
+  }
+  return { message: result, transfer: [] };
+}
+
+self.onmessage = async (event) => {
+  const { id, method, args = [] } = event.data;
+
+  if (method === 'cancel') {
+    running.get(id)?.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  running.set(id, controller);
+
+  try {
+    if (!METHODS[method]) {
+      throw new Error(`Unknown method: ${method}`);
+    }
+
+    const context = {
+      signal: controller.signal,
+      onProgress: (...progress) => self.postMessage({ id, type: 'progress', progress })
+    };
+    const { message, transfer } = prepareResult(await METHODS[method](context, ...args));
+
+    self.postMessage({ id, type: 'result', result: message }, transfer);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+  } finally {
+    running.delete(id);
+  }
+};